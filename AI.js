@@ -0,0 +1,264 @@
+/**
+ *
+ * computer opponent. Picks a move for the current player of an AbstractGame with alpha-beta search
+ *   (negamax form) and iterative deepening, stopping at a depth or time limit, whichever comes first.
+ * the game is used as the search board: moves are made & taken back on it, so it is in the same
+ *   position after search() returns. Run it on a copy (e.g. in AIWorker.js) to keep the page responsive.
+ *   The search works on the game's board array & move numbers (see AbstractGame), not on move objects.
+ * two player games where the players take turns one move at a time only: see canPlay().
+ *
+ * evaluation (from the side to move): material + piece-square tables. Pawns gain value after crossing
+ *   the river; cannons are worth more with a crowded board and horses with an open one.
+ */
+class AI {
+    /**
+     * @param {*} options {depth, timeMs}. See AI.LEVELS for the presets
+     */
+    constructor(options = AI.LEVELS.medium) {
+        this._maxDepth = options.depth;
+        this._timeMs = options.timeMs;
+        this._nodes = 0;
+        this._deadline = 0;
+    }
+    /**
+     * finds the best move for the current player. The deepest completed iteration wins.
+     * @param {AbstractGame} game
+     * @returns {move: "03H03E" or null if there is no legal move, score, depth, nodes}
+     */
+    search(game) {
+        if (!AI.canPlay(game)) {
+            throw new Error("The computer only plays two player games with one move a turn");
+        }
+        let team = game.getCurrPlayer();
+        let result = { move: null, score: 0, depth: 0, nodes: 0 };
+        let moves = this._orderMoves(game, game._legalMoves(team), null);
+        if (moves.length === 0 || game.isGameOver()) {
+            return result;
+        }
+        this._nodes = 0;
+        this._deadline = Date.now() + this._timeMs;
+        let best = moves[0];
+        for (let depth = 1; depth <= this._maxDepth; depth++) {
+            try {
+                let iteration = this._root(game, team, depth, this._orderMoves(game, moves, best));
+                best = iteration.move;
+                result.score = iteration.score;
+                result.depth = depth;
+            }
+            catch (e) {
+                if (e !== AI._timeout) {
+                    throw e;
+                }
+                break; // keep the result of the last full iteration
+            }
+            if (Math.abs(result.score) >= AI.MATE - 100) {
+                break; // found a forced mate, going deeper won't change it
+            }
+        }
+        result.move = game.toNotation(game._moveOf(best));
+        result.nodes = this._nodes;
+        return result;
+    }
+    /**
+     * true if the search can play the game. It counts on the turn changing after every move, so variants
+     *   with more players or more moves a turn are left out
+     * @param {AbstractGame} game
+     */
+    static canPlay(game) {
+        return game.getNumPlayers() === 2 && game.alternatesMoves();
+    }
+    /**
+     * static evaluation of the position for the team, in centipawn-like units
+     * @param {AbstractGame} game
+     * @param {number} team
+     * @returns score; positive is good for the team
+     */
+    evaluate(game, team) {
+        let board = game._board;
+        let geo = game._geo;
+        // heavy pieces left on the board, for the cannon/horse shift
+        let officers = 0;
+        for (let owner = 1; owner <= 2; owner++) {
+            for (let sq of game._pieces[owner]) {
+                let type = board[sq] % 10;
+                if (type === 1 || type === 2 || type === 3) {
+                    officers++;
+                }
+            }
+        }
+        let score = 0;
+        for (let owner = 1; owner <= 2; owner++) {
+            for (let sq of game._pieces[owner]) {
+                let type = board[sq] % 10;
+                let row = (owner === 1) ? geo.row[sq] : 9 - geo.row[sq]; // tables are from red's side
+                let value = AI._values[type];
+                if (AI._tables[type]) {
+                    value += AI._tables[type][row][geo.col[sq]];
+                }
+                if (type === 3) {
+                    value += (officers - 6) * 3;
+                }
+                else if (type === 2) {
+                    value -= (officers - 6) * 3;
+                }
+                score += (owner === team) ? value : -value;
+            }
+        }
+        return score;
+    }
+    // one iteration at the root. Returns {move, score}
+    _root(game, team, depth, moves) {
+        let alpha = -AI.MATE - 1;
+        let best = moves[0];
+        for (let move of moves) {
+            let score = -this._child(game, move, () => this._negamax(game, AI._other(team), depth - 1, 1, -AI.MATE - 1, -alpha));
+            if (score > alpha) {
+                alpha = score;
+                best = move;
+            }
+        }
+        return { move: best, score: alpha };
+    }
+    _negamax(game, team, depth, ply, alpha, beta) {
+        this._tick();
+        if (depth <= 0) {
+            return this._quiesce(game, team, alpha, beta, 0);
+        }
+        let moves = game._legalMoves(team);
+        if (moves.length === 0) {
+            return -AI.MATE + ply; // checkmate & stalemate both lose in xiangqi
+        }
+        for (let move of this._orderMoves(game, moves, null)) {
+            let score = -this._child(game, move, () => this._negamax(game, AI._other(team), depth - 1, ply + 1, -beta, -alpha));
+            if (score >= beta) {
+                return beta;
+            }
+            if (score > alpha) {
+                alpha = score;
+            }
+        }
+        return alpha;
+    }
+    // only follows captures so the search doesn't stop in the middle of an exchange
+    _quiesce(game, team, alpha, beta, qDepth) {
+        this._tick();
+        let standPat = this.evaluate(game, team);
+        if (standPat >= beta || qDepth >= AI._maxQuiesce) {
+            return standPat;
+        }
+        if (standPat > alpha) {
+            alpha = standPat;
+        }
+        for (let move of this._orderMoves(game, game._legalMoves(team, true), null)) {
+            let score = -this._child(game, move, () => this._quiesce(game, AI._other(team), -beta, -alpha, qDepth + 1));
+            if (score >= beta) {
+                return beta;
+            }
+            if (score > alpha) {
+                alpha = score;
+            }
+        }
+        return alpha;
+    }
+    // searches the position after the move (from << 10 | to). The move is taken back even if the search times out
+    _child(game, move, searchFn) {
+        let captured = game._doSquares(move >> 10, move & 1023);
+        try {
+            return searchFn();
+        }
+        finally {
+            game._undoSquares(move >> 10, move & 1023, captured);
+        }
+    }
+    // best move first, then captures (most valuable victim, least valuable attacker), then the rest
+    _orderMoves(game, moves, best) {
+        let board = game._board;
+        let key = (move) => {
+            if (move === best) {
+                return Infinity;
+            }
+            let victim = board[move & 1023];
+            if (victim === 0) {
+                return 0;
+            }
+            return AI._values[victim % 10] * 10 - AI._values[board[move >> 10] % 10];
+        };
+        return moves.map((move) => ({ move: move, key: key(move) }))
+            .sort((a, b) => b.key - a.key)
+            .map((item) => item.move);
+    }
+    // counts nodes and gives up once the time is over
+    _tick() {
+        this._nodes++;
+        if ((this._nodes & 1023) === 0 && Date.now() > this._deadline) {
+            throw AI._timeout;
+        }
+    }
+    static _other(team) {
+        return (team === 1) ? 2 : 1;
+    }
+}
+AI.MATE = 100000;
+// difficulty presets shown on the page
+AI.LEVELS = {
+    easy: { depth: 1, timeMs: 500 },
+    medium: { depth: 3, timeMs: 2000 },
+    hard: { depth: 4, timeMs: 5000 },
+    expert: { depth: 6, timeMs: 10000 }
+};
+AI._timeout = new Error("Search timed out");
+AI._maxQuiesce = 4;
+// piece type => value, same order as AbstractGame._types (-RNCGEPK)
+AI._values = [0, 600, 270, 285, 120, 120, 30, 6000];
+// piece-square tables from red's side (row 0 is black's back rank). Missing types have none
+AI._tables = [];
+AI._tables[1] = [
+    [14, 14, 12, 18, 16, 18, 12, 14, 14],
+    [16, 20, 18, 24, 26, 24, 18, 20, 16],
+    [12, 12, 12, 18, 18, 18, 12, 12, 12],
+    [12, 18, 16, 22, 22, 22, 16, 18, 12],
+    [12, 14, 12, 18, 18, 18, 12, 14, 12],
+    [12, 16, 14, 20, 20, 20, 14, 16, 12],
+    [6, 10, 8, 14, 14, 14, 8, 10, 6],
+    [4, 8, 6, 14, 12, 14, 6, 8, 4],
+    [8, 4, 8, 16, 8, 16, 8, 4, 8],
+    [-2, 10, 6, 14, 12, 14, 6, 10, -2]
+];
+AI._tables[2] = [
+    [4, 8, 16, 12, 4, 12, 16, 8, 4],
+    [4, 10, 28, 16, 8, 16, 28, 10, 4],
+    [12, 14, 16, 20, 18, 20, 16, 14, 12],
+    [8, 24, 18, 24, 20, 24, 18, 24, 8],
+    [6, 16, 14, 18, 16, 18, 14, 16, 6],
+    [4, 12, 16, 14, 12, 14, 16, 12, 4],
+    [2, 6, 8, 6, 10, 6, 8, 6, 2],
+    [4, 2, 8, 8, 4, 8, 8, 2, 4],
+    [0, 2, 4, 4, -2, 4, 4, 2, 0],
+    [0, -4, 0, 0, 0, 0, 0, -4, 0]
+];
+AI._tables[3] = [
+    [6, 4, 0, -10, -12, -10, 0, 4, 6],
+    [2, 2, 0, -4, -14, -4, 0, 2, 2],
+    [2, 2, 0, -10, -8, -10, 0, 2, 2],
+    [0, 0, -2, 4, 10, 4, -2, 0, 0],
+    [0, 0, 0, 2, 8, 2, 0, 0, 0],
+    [-2, 0, 4, 2, 6, 2, 4, 0, -2],
+    [0, 0, 0, 2, 4, 2, 0, 0, 0],
+    [4, 0, 8, 6, 10, 6, 8, 0, 4],
+    [0, 2, 4, 6, 6, 6, 4, 2, 0],
+    [0, 0, 2, 6, 6, 6, 2, 0, 0]
+];
+// pawns are worth little at home and a lot once they cross the river & close in on the palace
+AI._tables[6] = [
+    [0, 3, 6, 9, 12, 9, 6, 3, 0],
+    [18, 36, 56, 80, 120, 80, 56, 36, 18],
+    [14, 26, 42, 60, 80, 60, 42, 26, 14],
+    [10, 20, 30, 34, 40, 34, 30, 20, 10],
+    [6, 12, 18, 18, 20, 18, 18, 12, 6],
+    [2, 0, 8, 0, 8, 0, 8, 0, 2],
+    [0, 0, -2, 0, 4, 0, -2, 0, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0]
+];
+export { AI };
@@ -0,0 +1,31 @@
+/**
+ *
+ * runs the AI off the main thread. Start it with new Worker("AIWorker.js", {type: "module"}).
+ * message in:  {variant, fen, moves, level} the variant name (see Variants.js), the starting FEN,
+ *              the moves played since ("03H03E" format), and one of the AI.LEVELS names
+ *              with analyse: true the whole game is reviewed instead (see Analysis.js); level is not used
+ * message out: the result of AI.search(), {analysis} with the result of Analysis.analyse(), or {error}
+ *              if the game could not be rebuilt
+ */
+import { AI } from './AI.js';
+import { Analysis } from './Analysis.js';
+import { Variants } from './Variants.js';
+self.addEventListener("message", (evt) => {
+    try {
+        let game = Variants[evt.data.variant].fromFEN(evt.data.fen);
+        for (let move of evt.data.moves) {
+            if (!game.makeMove(move).ok) {
+                throw new Error(`Move ${move} is not accepted`);
+            }
+        }
+        if (evt.data.analyse) {
+            self.postMessage({ analysis: new Analysis().analyse(game) });
+        }
+        else {
+            self.postMessage(new AI(AI.LEVELS[evt.data.level]).search(game));
+        }
+    }
+    catch (e) {
+        self.postMessage({ error: e.message });
+    }
+});
@@ -12,45 +12,332 @@ var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, ge
  * creates an instance of a game. Decides the rule of the game, and responsible for the status
  *   including the current moving player, winner, and whether the game has ended.
  * AbstractGame(base) ==> Official; Casual; DoubleStep; ThreePlayer
+ * the base class is abstract: create one of the variants (see Variants.js). They change the rules
+ *   by overriding the hooks _ruleViolation (together with _generateFrom, which has to agree with it),
+ *   getNextPlayer, _updateWinner & _loses, and have to implement _allowsTakeback &
+ *   _forbiddenRepetitionLoses. The board shape comes from the static _rows, _cols & _numPlayers and
+ *   the geometry hooks _inBounds, _inPalace, _onOwnSide & _forwardDir.
  *
  * Use command: tsc --target es2015 ./public/util/AbstractGame.ts to compile the code into js file.
  * --target es2015 ensures the code exports normally
  *
  * AbstractGame:
- * fields: layout, currentPlayer, lastMove, lastCaptured, winner, static types
+ * fields: board, pieces, kings, rows, cols, numPlayers, layoutName, currentPlayer, history, ply, winner,
+ *   endReason, startHalfmove, startFullmove, moveLimit, clock, static types
+ *   history holds one entry per move: {move, notation, captured, player, status, check, key, verdict}.
+ *   Only the first `ply` entries are on the board; the rest can be redone until a different move is made.
+ *   winner is -1 while the game is on and 0 for a draw.
+ *
+ * board: a padded 1-D mailbox (see _geometry()). Squares are indices into it, off-board squares hold
+ *   AbstractGame._OFF, and every piece still has its layout code (team * 10 + type). Each team's pieces
+ *   (pieces) and general (kings) are tracked as moves are made, so nothing scans the board to find them.
+ *   Inside the move generator & the AI a move is a number, from << 10 | to; everywhere else it is the
+ *   {sr, sc, er, ec} object. Layouts in & out (constructor, getLayout()) are the usual rows x cols arrays.
+ *
+ * events: views, sounds, network layers... subscribe with on(event, listener) instead of checking the game
+ *   after each call. See on() for the events & their details.
+ *
+ * repetition (Asian rules): positions are identified by a Zobrist hash of the board & the player to move.
+ *   When a position comes up the third time, the moves since its previous occurrence are judged: a player
+ *   who checked with every move (perpetual check), or else chased an unprotected piece with every move
+ *   (perpetual chase), made a forbidden repetition. They lose (Official) or must play another move. If
+ *   both or neither did, the game is drawn. The game is also drawn after moveLimit moves without capture.
  *
  * checkPieceAt(): returns the piece at the position. if nothing returns 0
  */
 class AbstractGame {
     constructor(layout) {
-        // if (this.constructor === AbstractGame) {
-        //   throw new Error("Cannot initiate the abstract class AbstractGame");
-        // }
+        if (this.constructor === AbstractGame) {
+            throw new Error("Cannot initiate the abstract class AbstractGame");
+        }
         this._currentPlayer = 1;
-        this._lastMove = "";
-        this._lastCaptured = 0;
+        this._history = [];
+        this._ply = 0;
         this._winner = -1;
-        this._layout = layout;
+        this._endReason = "";
+        this._rows = this.constructor._rows;
+        this._cols = this.constructor._cols;
+        this._numPlayers = this.constructor._numPlayers;
+        this._layoutName = ""; // name in layouts.json, "" if the layout came from elsewhere
+        // move counters of the starting position, used by toFEN()
+        this._startHalfmove = 0;
+        this._startFullmove = 1;
+        this._moveLimit = AbstractGame._moveLimit;
+        this._startKey = null; // position key before the first move
+        // zobrist hash of the board as two 32 bit halves. null until the first _positionKey()
+        this._hashLo = null;
+        this._hashHi = 0;
+        this._clock = null; // see setClock()
+        this._lastRejection = null; // see getLastRejection()
+        this._listeners = {}; // event => listeners, see on()
+        for (let event of AbstractGame.EVENTS) {
+            this._listeners[event] = [];
+        }
+        this._geo = this._geometry();
+        this._board = new Int8Array(this._geo.size).fill(AbstractGame._OFF);
+        this._where = new Int16Array(this._geo.size); // square => index of its piece in _pieces
+        this._pieces = []; // team => squares of its pieces, in no particular order
+        this._kings = []; // team => square of its general, -1 once it is taken
+        for (let team = 0; team <= this._numPlayers; team++) {
+            this._pieces.push([]);
+            this._kings.push(-1);
+        }
+        this._setLayout(layout);
     }
-    static initialize() {
+    /**
+     * creates a game with one of the starting layouts in layouts.json
+     * @param {string} layoutName "official" by default
+     * @returns promise of the game. Rejects if the layouts can't be loaded, or if the layout does not
+     *   exist or is not valid
+     */
+    static initialize(layoutName = "official") {
         return __awaiter(this, void 0, void 0, function* () {
+            let result = yield AbstractGame.loadLayouts();
+            if (!Object.prototype.hasOwnProperty.call(result, layoutName)) {
+                throw new Error(`Unknown layout: ${layoutName}`);
+            }
+            let layout = result[layoutName];
             try {
-                let resp = yield fetch("/layouts.json");
-                resp = yield statusCheck(resp);
-                let result = yield resp.json();
-                return new AbstractGame(result.official);
+                this.validateLayout(layout);
             }
             catch (e) {
-                console.error(e);
-                let emptyLayout = new Array(10);
-                for (let i = 0; i < 10; i++) {
-                    let columns = new Array(9).fill(0); // array of length 9 and EMPTY slots amd fill all slots with 0s
-                    emptyLayout[i] = columns;
-                }
-                return new AbstractGame(emptyLayout);
+                throw new Error(`Layout "${layoutName}" is not valid: ${e.message}`);
+            }
+            let game = new this(layout.map((row) => row.slice())); // the source may hand out the same layouts again
+            game._layoutName = layoutName;
+            return game;
+        });
+    }
+    // all the starting layouts by name: from the source set with setLayoutSource(), or from the
+    //   layouts.json next to this file (fetched in the browser, read from disk in node). They are not validated
+    static loadLayouts() {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (AbstractGame._layoutSource) {
+                return yield AbstractGame._layoutSource();
             }
+            let url = new URL("./layouts.json", import.meta.url);
+            if (url.protocol === "file:") {
+                let fs = yield import("node:fs/promises");
+                return JSON.parse(yield fs.readFile(url, "utf8"));
+            }
+            let resp = yield fetch(url);
+            resp = yield statusCheck(resp);
+            return yield resp.json();
         });
     }
+    /**
+     * where loadLayouts() & initialize() get the layouts from
+     * @param {function} source returns the layouts by name, or a promise of them. null for layouts.json
+     */
+    static setLayoutSource(source) {
+        AbstractGame._layoutSource = source;
+    }
+    /**
+     * throws an error describing the first problem with the layout for this variant:
+     *   it must be rows x cols (10x9 normally) of known piece codes (0, or a team followed by type 1-7),
+     *   with exactly one general per player, inside its palace. Squares off the board must be 0.
+     * @param {*} layout
+     */
+    static validateLayout(layout) {
+        new this(layout)._validateLayout(layout); // the constructor doesn't check anything
+    }
+    _validateLayout(layout) {
+        if (!Array.isArray(layout) || layout.length !== this._rows) {
+            throw new Error(`The layout must have ${this._rows} rows`);
+        }
+        let kings = {};
+        for (let team = 1; team <= this._numPlayers; team++) {
+            kings[team] = [];
+        }
+        for (let i = 0; i < this._rows; i++) {
+            if (!Array.isArray(layout[i]) || layout[i].length !== this._cols) {
+                throw new Error(`Row ${this._rows - i} must have ${this._cols} columns`);
+            }
+            for (let j = 0; j < this._cols; j++) {
+                let curr = layout[i][j];
+                let pos = this._posToString(i, j);
+                let team = Math.floor(curr / 10);
+                let type = curr % 10;
+                if (!Number.isInteger(curr) ||
+                    (curr !== 0 && (team < 1 || team > this._numPlayers || type < 1 || type > 7))) {
+                    throw new Error(`Unknown piece code ${curr} at ${pos}`);
+                }
+                if (curr !== 0 && !this._inBounds(i, j)) {
+                    throw new Error(`Piece ${curr} at ${pos} is off the board`);
+                }
+                if (type === 7) {
+                    kings[team].push({ r: i, c: j, pos: pos });
+                }
+            }
+        }
+        for (let team = 1; team <= this._numPlayers; team++) {
+            if (kings[team].length !== 1) {
+                throw new Error(`Player ${team} must have exactly one general but has ${kings[team].length}`);
+            }
+            let king = kings[team][0];
+            if (!this._inPalace(team, king.r, king.c)) {
+                throw new Error(`The general of player ${team} at ${king.pos} is outside its palace`);
+            }
+        }
+    }
+    /**
+     * creates a game from a Xiangqi FEN string, e.g. the starting position
+     *   rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR w - - 0 1
+     * ranks go from black's side (row 10) to red's side (row 1). Uppercase is red (player 1),
+     *   lowercase is black (player 2). Side to move is w/r (red) or b (black).
+     * the position has to be one a game can reach: the generals can't face each other and the side that
+     *   is not to move can't be in check.
+     * the two "-" fields and the move counters are optional, but must be well formed if given.
+     * @param {string} str
+     * @returns the game
+     */
+    static fromFEN(str) {
+        if (typeof str !== "string") {
+            throw new Error(`Invalid FEN: expected a string but got ${typeof str}`);
+        }
+        let fields = str.trim().split(/\s+/);
+        if (fields.length < 2 || fields.length > 6) {
+            throw new Error(`Invalid FEN: expected 2 to 6 fields but got ${fields.length}`);
+        }
+        let ranks = fields[0].split("/");
+        if (ranks.length !== 10) {
+            throw new Error(`Invalid FEN: expected 10 ranks but got ${ranks.length}`);
+        }
+        let layout = [];
+        let kings = { 1: 0, 2: 0 };
+        for (let i = 0; i < 10; i++) {
+            let row = [];
+            for (let ch of ranks[i]) {
+                if (ch >= "1" && ch <= "9") {
+                    for (let k = 0; k < parseInt(ch); k++) {
+                        row.push(0);
+                    }
+                }
+                else if (AbstractGame._fenTypes[ch.toUpperCase()]) {
+                    let team = (ch === ch.toUpperCase()) ? 1 : 2;
+                    let type = AbstractGame._fenTypes[ch.toUpperCase()];
+                    if (type === 7) {
+                        kings[team]++;
+                    }
+                    row.push(team * 10 + type);
+                }
+                else {
+                    throw new Error(`Invalid FEN: unknown piece "${ch}" in rank ${10 - i}`);
+                }
+            }
+            if (row.length !== 9) {
+                throw new Error(`Invalid FEN: rank ${10 - i} has ${row.length} columns instead of 9`);
+            }
+            layout.push(row);
+        }
+        if (kings[1] !== 1 || kings[2] !== 1) {
+            throw new Error(`Invalid FEN: each side needs exactly one general (red ${kings[1]}, black ${kings[2]})`);
+        }
+        let side = fields[1].toLowerCase();
+        if (side !== "w" && side !== "r" && side !== "b") {
+            throw new Error(`Invalid FEN: unknown side to move "${fields[1]}"`);
+        }
+        for (let i = 2; i < Math.min(fields.length, 4); i++) {
+            if (fields[i] !== "-") {
+                throw new Error(`Invalid FEN: field ${i + 1} must be "-" but got "${fields[i]}"`);
+            }
+        }
+        let counters = fields.slice(4).map((field) => /^\d+$/.test(field) ? parseInt(field) : NaN);
+        if (counters.some(isNaN)) {
+            throw new Error(`Invalid FEN: move counters must be non-negative integers: ${fields.slice(4).join(" ")}`);
+        }
+        if (counters.length === 2 && counters[1] < 1) {
+            throw new Error("Invalid FEN: fullmove number must start from 1");
+        }
+        try {
+            this.validateLayout(layout);
+        }
+        catch (e) {
+            throw new Error(`Invalid FEN: ${e.message}`);
+        }
+        let game = new this(layout);
+        game._currentPlayer = (side === "b") ? 2 : 1;
+        // the side that just moved can't have left its general in check
+        if (game._generalsFace()) {
+            throw new Error("Invalid FEN: the generals face each other");
+        }
+        if (game._isInCheck((side === "b") ? 1 : 2)) {
+            throw new Error(`Invalid FEN: ${(side === "b") ? "red" : "black"} is in check but it is not their move`);
+        }
+        if (counters.length > 0) {
+            game._startHalfmove = counters[0];
+        }
+        if (counters.length > 1) {
+            game._startFullmove = counters[1];
+        }
+        game._updateWinner(); // the side to move might already be mated
+        return game;
+    }
+    // the current position as a Xiangqi FEN string. See fromFEN()
+    toFEN() {
+        // fullmove: goes up after each turn of black, which can have more than one move (see DoubleStep.js)
+        let fullmove = this._startFullmove;
+        for (let i = 0; i < this._ply; i++) {
+            let next = (i + 1 < this._ply) ? this._history[i + 1].player : this._currentPlayer;
+            if (this._history[i].player === 2 && next !== 2) {
+                fullmove++;
+            }
+        }
+        return AbstractGame._layoutToFEN(this.getLayout(), this._currentPlayer, this._halfmoveClock(), fullmove);
+    }
+    // moves (plies) since the last capture, counting the ones before the starting position
+    _halfmoveClock() {
+        let halfmove = this._startHalfmove;
+        for (let i = 0; i < this._ply; i++) {
+            halfmove = (this._history[i].captured !== 0) ? 0 : halfmove + 1;
+        }
+        return halfmove;
+    }
+    // the position before the first move in history as a Xiangqi FEN string
+    getStartFEN() {
+        let player = (this._history.length > 0) ? this._history[0].player : this._currentPlayer;
+        return AbstractGame._layoutToFEN(this.getStartLayout(), player, this._startHalfmove, this._startFullmove);
+    }
+    /**
+     * a new game of the same variant at the position after the first n moves of the history, e.g. to look
+     *   at an earlier position without changing this game. Two player games only (goes through the FEN)
+     * @param {number} n the current ply by default
+     */
+    copyAt(n = this._ply) {
+        if (!Number.isInteger(n) || n < 0 || n > this._history.length) {
+            throw new Error(`No position after move ${n}`);
+        }
+        let copy = this.constructor.fromFEN(this.getStartFEN());
+        copy.setLayoutName(this._layoutName);
+        copy._moveLimit = this._moveLimit;
+        for (let i = 0; i < n; i++) {
+            copy.makeMove(this._history[i].notation);
+        }
+        return copy;
+    }
+    static _layoutToFEN(layout, player, halfmove, fullmove) {
+        let ranks = [];
+        for (let i = 0; i < 10; i++) {
+            let rank = "";
+            let empty = 0;
+            for (let j = 0; j < 9; j++) {
+                let curr = layout[i][j];
+                if (curr === 0) {
+                    empty++;
+                    continue;
+                }
+                if (empty > 0) {
+                    rank += empty;
+                    empty = 0;
+                }
+                let letter = "-RNCABPK".charAt(curr % 10);
+                rank += (Math.floor(curr / 10) === 1) ? letter : letter.toLowerCase();
+            }
+            ranks.push(rank + ((empty > 0) ? empty : ""));
+        }
+        let side = (player === 2) ? "b" : "w";
+        return `${ranks.join("/")} ${side} - - ${halfmove} ${fullmove}`;
+    }
     /**
      * 10 2R 2N 2E ...
      * 09 00
@@ -61,61 +348,251 @@ class AbstractGame {
      */
     toString() {
         let result = "";
-        for (let i = 0; i < 10; i++) {
-            result += (i === 0) ? " " : " 0";
-            result += (10 - i);
-            for (let j = 0; j < 9; j++) {
-                let curr = this._layout[i][j];
+        for (let i = 0; i < this._rows; i++) {
+            result += (this._rows - i < 10) ? " 0" : " ";
+            result += (this._rows - i);
+            for (let j = 0; j < this._cols; j++) {
+                if (!this._inBounds(i, j)) {
+                    result += "   "; // not part of the board
+                    continue;
+                }
                 result += " ";
-                let team = Math.floor(curr / 10);
-                let type = curr % 10;
+                let curr = this._at(i, j);
+                let team = AbstractGame._teamOf[curr];
+                let type = AbstractGame._typeOf[curr];
                 result += (team === 0) ? "-" : team;
                 result += AbstractGame._types.charAt(type);
             }
             result += "\n";
         }
-        result += "     A  B  C  D  E  F  G  H  I\n";
-        return result;
+        result += "   ";
+        for (let j = 0; j < this._cols; j++) {
+            result += "  " + String.fromCharCode(65 + j);
+        }
+        return result + "\n";
     }
     isGameOver() {
         return this._winner !== -1;
     }
+    // the winning player. 0 for a draw, -1 if the game is not over
     getWinner() {
         return this._winner;
     }
+    // name of the rule variant, e.g. "Official". See Variants.js
+    getVariant() {
+        return this.constructor._variant;
+    }
+    // name of the starting layout in layouts.json. "" for positions from FEN or elsewhere
+    getLayoutName() {
+        return this._layoutName;
+    }
+    // names the starting layout of a game built from its FEN (see GameRecord.js & GameStore.js)
+    setLayoutName(name) {
+        this._layoutName = name;
+    }
+    // how the game ended: "checkmate", "stalemate", "kingCaptured", "perpetualCheck", "perpetualChase",
+    //   "repetition", "moveLimit", "timeout", "resignation" or "agreement". "" if the game is not over
+    getEndReason() {
+        return this._endReason;
+    }
     getCurrPlayer() {
         return this._currentPlayer;
     }
+    getNumPlayers() {
+        return this._numPlayers;
+    }
+    // false if a player can make more than one move in a turn (see DoubleStep.js)
+    alternatesMoves() {
+        return this.constructor._alternating;
+    }
+    // moves (plies) without capture before the game is drawn. 0 turns the rule off
+    getMoveLimit() {
+        return this._moveLimit;
+    }
+    setMoveLimit(plies) {
+        if (!Number.isInteger(plies) || plies < 0) {
+            throw new Error(`Move limit must be a non-negative integer: ${plies}`);
+        }
+        this._moveLimit = plies;
+    }
+    /**
+     * times the game from now on: the current player's time starts running. Each move hands the clock
+     *   to the next player, takebacks pause it, and a player who runs out of time loses.
+     * @param {Clock} clock null to play without one
+     */
+    setClock(clock) {
+        this._clock = clock;
+        if (clock && !this.isGameOver()) {
+            clock.start(this._currentPlayer);
+        }
+    }
+    getClock() {
+        return this._clock;
+    }
+    /**
+     * calls the listener with the detail of the event each time it happens. Listeners are called in the
+     *   order they subscribed, after the game has changed.
+     *   "move" {move, player, ply, captured, check, redo}: a move was put on the board. move is in "03B03E"
+     *      format, ply the number of moves on the board after it, captured the piece taken (0 if none)
+     *      and redo true when it came from redoMove() or goToPly()
+     *   "capture", "check": same detail, right after "move" when the move took a piece / gave check
+     *   "undo" {move, player, ply, captured}: a move was taken back (recallMove(), goToPly())
+     *   "gameOver" {winner, reason}: see getWinner() & getEndReason()
+     *   "illegalMove" {move, code, message}: makeMove() refused the move. move is the string it was given
+     * @param {string} event one of AbstractGame.EVENTS
+     * @param {function} listener
+     */
+    on(event, listener) {
+        if (!this._listeners[event]) {
+            throw new Error(`Unknown event: ${event}`);
+        }
+        this._listeners[event].push(listener);
+    }
+    // stops calling the listener. false if it was not subscribed to the event
+    off(event, listener) {
+        let listeners = this._listeners[event] || [];
+        let index = listeners.indexOf(listener);
+        if (index === -1) {
+            return false;
+        }
+        listeners.splice(index, 1);
+        return true;
+    }
+    // the player gives up. false if the game is already over
+    resign(player) {
+        if (this.isGameOver() || this._isEliminated(player) || !(player >= 1 && player <= this._numPlayers)) {
+            return false;
+        }
+        this._forfeit(player, "resignation");
+        if (this.isGameOver()) {
+            this._pauseClock();
+        }
+        this._emitGameOver(false);
+        return true;
+    }
+    // ends the game in a draw the players agreed on. false if the game is already over
+    agreeDraw() {
+        if (this.isGameOver()) {
+            return false;
+        }
+        this._winner = 0;
+        this._endReason = "agreement";
+        this._pauseClock();
+        this._emitGameOver(false);
+        return true;
+    }
+    // ends the game if the current player's time is up. Call it regularly to catch a flag fall
+    //   between moves. returns true if the time ran out
+    checkTime() {
+        if (!this._clock || this.isGameOver() || !this._clock.isFlagged(this._currentPlayer)) {
+            return false;
+        }
+        this._forfeit(this._currentPlayer, "timeout");
+        if (this.isGameOver()) {
+            this._clock.pause();
+        }
+        this._emitGameOver(false);
+        return true;
+    }
     getNextPlayer() {
-        return (this._currentPlayer === 2) ? 1 : (this._currentPlayer + 1);
+        return (this._currentPlayer === this._numPlayers) ? 1 : (this._currentPlayer + 1);
     }
-    // pre: moveStr has to be valid in "03h03e" format (from 3H to 3E)
-    // if it's a check/capture, indicate that with return
-    //  0-successful; -1-fail; 1-capture; 2-check
+    /**
+     * plays the move for the current player
+     * @param {string} moveStr "03h03e" format (from 3H to 3E)
+     * @returns {ok, move, player, captured, check, gameOver, winner, endReason, rejection}
+     *   move is the move played ("03H03E", null if refused), captured the piece it took (0 if none), check
+     *   whether it left an opponent in check. gameOver, winner & endReason are the state after it.
+     *   When ok is false nothing was played and rejection is {code, message} (see getLastRejection())
+     */
     makeMove(moveStr) {
         let move;
         try {
-            move = this.interpretMove(moveStr); // throws error if moveStr is problematic
-            if (this.validateMove(move)) {
-                this._lastCaptured = this._layout[move.er][move.ec];
-                this._layout[move.er][move.ec] = this._layout[move.sr][move.sc];
-                this._layout[move.sr][move.sc] = 0;
-                this._lastMove = moveStr;
-                this._currentPlayer = this.getNextPlayer();
-                // TODO: check if there is a check
-                let check = false;
-                let capture = this._lastCaptured !== 0;
-                this._updateWinner();
-                return (check) ? 2 : (capture ? 1 : 0);
-            }
-            else {
-                // console.log("Move not accepted.");
-                return -1;
+            if (this.isGameOver() || this.checkTime()) {
+                return this._refuse(moveStr, "gameOver");
             }
+            move = this.interpretMove(moveStr); // throws error if moveStr is problematic
         }
         catch (e) {
-            console.log(e);
-            return -1;
+            return this._refuse(moveStr, "badNotation", e.message);
+        }
+        if (!this.validateMove(move)) {
+            return this._refuse(moveStr);
+        }
+        this._history.length = this._ply; // a new move discards the moves that could be redone
+        this._history.push({ move: move, notation: this.toNotation(move), captured: 0,
+            player: this._currentPlayer, status: null, check: false, key: 0, verdict: null });
+        let entry = this._forward();
+        if (entry.verdict && entry.verdict.offender === entry.player && !this._forbiddenRepetitionLoses()) {
+            this._backward();
+            this._history.length = this._ply;
+            return this._refuse(moveStr, "forbiddenRepetition");
+        }
+        this._passClock(entry.player);
+        this._emitMove(entry, false);
+        this._emitGameOver(false);
+        return this._result(entry, null);
+    }
+    // the result of makeMove() for the entry played, or for a refused move with the rejection
+    _result(entry, rejection) {
+        return {
+            ok: rejection === null,
+            move: entry ? entry.notation : null,
+            player: entry ? entry.player : this._currentPlayer,
+            captured: entry ? entry.captured : 0,
+            check: entry ? entry.check : false,
+            gameOver: this.isGameOver(),
+            winner: this._winner,
+            endReason: this._endReason,
+            rejection: rejection
+        };
+    }
+    /**
+     * refuses a move for a reason found outside the game, e.g. by NetworkGame when it is the other
+     *   player's turn: the same result, getLastRejection() & "illegalMove" event as a refused makeMove()
+     * @param {string} moveStr the move as it was given
+     * @param {string} code one of AbstractGame.REJECTIONS
+     * @param {string} detail added to the message (optional)
+     */
+    refuseMove(moveStr, code, detail = "") {
+        if (!Object.prototype.hasOwnProperty.call(AbstractGame.REJECTIONS, code)) {
+            throw new Error(`Unknown rejection: ${code}`);
+        }
+        return this._refuse(moveStr, code, detail);
+    }
+    // refuses the move of makeMove() for the code given, or the one validateMove() found
+    _refuse(moveStr, code = "", detail = "") {
+        if (code !== "") {
+            this._reject(code, detail);
+        }
+        let rejection = this._lastRejection;
+        this._emit("illegalMove", { move: String(moveStr), code: rejection.code, message: rejection.message });
+        return this._result(null, rejection);
+    }
+    _emit(event, detail) {
+        for (let listener of this._listeners[event].slice()) {
+            listener(detail);
+        }
+    }
+    // "move" & its "capture" / "check" for a history entry that was just put on the board
+    _emitMove(entry, redo) {
+        let detail = { move: entry.notation, player: entry.player, ply: this._ply, captured: entry.captured,
+            check: entry.check, redo: redo };
+        this._emit("move", detail);
+        if (entry.captured !== 0) {
+            this._emit("capture", detail);
+        }
+        if (entry.check) {
+            this._emit("check", detail);
+        }
+    }
+    _emitUndo(entry) {
+        this._emit("undo", { move: entry.notation, player: entry.player, ply: this._ply, captured: entry.captured });
+    }
+    // "gameOver" if the game has just ended
+    _emitGameOver(wasOver) {
+        if (!wasOver && this.isGameOver()) {
+            this._emit("gameOver", { winner: this._winner, reason: this._endReason });
         }
     }
     /**
@@ -130,56 +607,513 @@ class AbstractGame {
         }
         let result = { sr: 0, sc: 0, er: 0, ec: 0 };
         // won't be errors; just NaN
-        result.sr = 10 - parseInt(move.substring(0, 2));
+        result.sr = this._rows - parseInt(move.substring(0, 2));
         result.sc = move.toUpperCase().charCodeAt(2) - 65;
-        result.er = 10 - parseInt(move.substring(3, 5));
+        result.er = this._rows - parseInt(move.substring(3, 5));
         result.ec = move.toUpperCase().charCodeAt(5) - 65;
         if (isNaN(result.sr) || isNaN(result.sc) || isNaN(result.er) || isNaN(result.ec)) {
             throw new Error("Unable to understand notation: " + move);
         }
-        // validate result.    * a<=x<=b <=> (x-a)(x-b)<=0
-        if (result.sr * (result.sr - 9) > 0 || result.er * (result.er - 9) > 0 ||
-            result.sc * (result.sc - 8) > 0 || result.ec * (result.ec - 8) > 0) {
+        // validate result.
+        if (!this._inBounds(result.sr, result.sc) || !this._inBounds(result.er, result.ec)) {
             throw new Error(`Out of bound: Interpreted Array Notation (${result.sr}, ${result.sc}) to (${result.er}, ${result.ec})`);
         }
         return result;
     }
+    // takes back the last move, even after the game is over. false if at the start of the game
+    //   or if the rules don't allow takebacks
     recallMove() {
-        if (this._lastMove !== "" && !this.isGameOver()) {
-            let move = this.interpretMove(this._lastMove);
-            this._layout[move.sr][move.sc] = this._layout[move.er][move.ec];
-            this._layout[move.er][move.ec] = this._lastCaptured;
-            this._lastCaptured = 0;
-            this._lastMove = "";
-            this._currentPlayer = (this._currentPlayer === 1) ? 2 : (this._currentPlayer - 1);
+        if (this._ply > 0 && this._allowsTakeback()) {
+            this._pauseClock();
+            this._emitUndo(this._backward());
+            return true;
+        }
+        else {
+            return false; // at the start of the game
+        }
+    }
+    // plays the last recalled move again. false if there is nothing to redo
+    redoMove() {
+        if (this._ply < this._history.length && this._allowsTakeback()) {
+            let wasOver = this.isGameOver();
+            this._pauseClock();
+            this._emitMove(this._forward(), true);
+            this._emitGameOver(wasOver);
             return true;
         }
         else {
-            console.log("There is no reverse available."); // cannot reverse more than once/ at the start of the game/after the game ended
             return false;
         }
     }
+    // goes to the position after the first n moves (0 for the start). false if n is out of range
+    goToPly(n) {
+        if (!Number.isInteger(n) || n < 0 || n > this._history.length || !this._allowsTakeback()) {
+            return false;
+        }
+        let wasOver = this.isGameOver();
+        this._pauseClock();
+        while (this._ply > n) {
+            this._emitUndo(this._backward());
+            wasOver = this.isGameOver();
+        }
+        while (this._ply < n) {
+            this._emitMove(this._forward(), true);
+        }
+        this._emitGameOver(wasOver);
+        return true;
+    }
+    // number of moves on the board
+    getPly() {
+        return this._ply;
+    }
+    // all the recorded moves in "03H03E" format, including the ones that can be redone
+    getHistory() {
+        return this._history.map((entry) => entry.notation);
+    }
+    // a copy of the board: rows (row 10 first) of piece codes. 10x9 except for ThreePlayer
+    getLayout() {
+        let layout = [];
+        for (let i = 0; i < this._rows; i++) {
+            let row = new Array(this._cols).fill(0);
+            for (let j = 0; j < this._cols; j++) {
+                if (this._inBounds(i, j)) {
+                    row[j] = this._at(i, j);
+                }
+            }
+            layout.push(row);
+        }
+        return layout;
+    }
+    // a copy of the board before the first move in history
+    getStartLayout() {
+        let layout = this.getLayout();
+        for (let i = this._ply - 1; i >= 0; i--) {
+            let move = this._history[i].move;
+            layout[move.sr][move.sc] = layout[move.er][move.ec];
+            layout[move.er][move.ec] = this._history[i].captured;
+        }
+        return layout;
+    }
+    // applies the next move in history and updates player & winner. returns the entry
+    _forward() {
+        let entry = this._history[this._ply];
+        if (this._ply === 0) {
+            this._startKey = this._positionKey();
+        }
+        entry.status = this._saveStatus();
+        entry.captured = this._doMove(entry.move);
+        this._ply++;
+        entry.check = this._givesCheck(entry.player);
+        this._currentPlayer = this.getNextPlayer();
+        entry.key = this._positionKey();
+        this._updateWinner();
+        entry.verdict = this.isGameOver() ? null : this._repetitionVerdict(entry);
+        if (entry.verdict && entry.verdict.offender === 0) {
+            this._winner = 0;
+            this._endReason = entry.verdict.reason;
+        }
+        else if (entry.verdict && this._forbiddenRepetitionLoses()) {
+            this._loses(entry.verdict.offender, entry.verdict.reason);
+        }
+        else if (!this.isGameOver() && this._moveLimit > 0 && this._halfmoveClock() >= this._moveLimit) {
+            this._winner = 0;
+            this._endReason = "moveLimit";
+        }
+        return entry;
+    }
+    // reverses _forward
+    _backward() {
+        this._ply--;
+        let entry = this._history[this._ply];
+        this._undoMove(entry.move, entry.captured);
+        this._currentPlayer = entry.player;
+        this._restoreStatus(entry.status);
+        return entry;
+    }
+    // after a move: stops the mover's time & starts the next player's. Stops the clock when the game ends
+    _passClock(mover) {
+        if (!this._clock) {
+            return;
+        }
+        if (this.isGameOver()) {
+            this._clock.pause();
+        }
+        else if (this._currentPlayer !== mover) {
+            this._clock.switchTo(mover, this._currentPlayer);
+        }
+        else if (this._clock.getRunning() === 0) {
+            this._clock.start(mover); // moving again after a takeback
+        }
+    }
+    // takebacks & replays stop the clock until the next move
+    _pauseClock() {
+        if (this._clock) {
+            this._clock.pause();
+        }
+    }
+    // the player lost without being mated: out of time or resigned
+    _forfeit(player, reason) {
+        this._loses(player, reason);
+    }
+    // the player lost for the reason: a forfeit, a forbidden repetition...
+    _loses(player, reason) {
+        this._winner = this._opponentOf(player);
+        this._endReason = reason;
+    }
+    // whether moves can be taken back & replayed right now. Each variant decides (see Casual & Official)
+    _allowsTakeback() {
+        throw new Error(`The ${this.getVariant()} variant has to say whether moves can be taken back`);
+    }
+    // whether a forbidden repetition loses the game. Otherwise makeMove() rejects the move that
+    //   completes it, so the player has to deviate. Each variant decides
+    _forbiddenRepetitionLoses() {
+        throw new Error(`The ${this.getVariant()} variant has to say whether a forbidden repetition loses`);
+    }
+    // judges the move (already made, last in history) when its position comes up the third time.
+    // returns null if it doesn't, {offender: 0, reason: "repetition"} for a draw, or
+    //   {offender, reason: "perpetualCheck" | "perpetualChase"} for the player to blame
+    _repetitionVerdict(entry) {
+        let occurrences = (this._startKey === entry.key) ? [-1] : [];
+        for (let i = 0; i < this._ply; i++) {
+            if (this._history[i].key === entry.key) {
+                occurrences.push(i);
+            }
+        }
+        if (occurrences.length < 3) {
+            return null;
+        }
+        // the moves since the position last came up
+        let cycle = this._history.slice(occurrences[occurrences.length - 2] + 1, this._ply);
+        let chases = this._cycleChases(cycle);
+        let checkers = [];
+        let chasers = [];
+        for (let team = 1; team <= this._numPlayers; team++) {
+            let moves = cycle.map((item, i) => i).filter((i) => cycle[i].player === team);
+            if (moves.length === 0) {
+                continue;
+            }
+            if (moves.every((i) => cycle[i].check)) {
+                checkers.push(team);
+            }
+            else if (moves.every((i) => cycle[i].check || chases[i])) {
+                chasers.push(team);
+            }
+        }
+        // checking is judged before chasing
+        if (checkers.length === 1) {
+            return { offender: checkers[0], reason: "perpetualCheck" };
+        }
+        if (checkers.length === 0 && chasers.length === 1) {
+            return { offender: chasers[0], reason: "perpetualChase" };
+        }
+        return { offender: 0, reason: "repetition" };
+    }
+    // for each move of the cycle (the last moves made), whether it starts to chase an enemy piece.
+    //   The board is walked back to the start of the cycle and replayed
+    _cycleChases(cycle) {
+        for (let i = cycle.length - 1; i >= 0; i--) {
+            this._undoMove(cycle[i].move, cycle[i].captured);
+        }
+        let result = [];
+        for (let item of cycle) {
+            let before = this._chasedSquares(item.player);
+            this._doMove(item.move);
+            let after = this._chasedSquares(item.player);
+            // capturing is not chasing. Only new threats count
+            result.push(item.captured === 0 && after.some((square) => before.indexOf(square) === -1));
+        }
+        return result;
+    }
+    // squares ("r,c") of enemy pieces the team threatens to win: unprotected, or a rook attacked by a
+    //   horse or cannon. Generals & pawns don't chase, generals & pawns on their own side can't be chased
+    _chasedSquares(team) {
+        let result = [];
+        for (let sq of this._pieces[team].slice()) { // the moves below shuffle the lists
+            let attacker = this._board[sq];
+            let attackerType = AbstractGame._typeOf[attacker];
+            if (attackerType === 6 || attackerType === 7) {
+                continue;
+            }
+            for (let move of this._pseudoMovesFrom(this._geo.row[sq], this._geo.col[sq])) {
+                let target = this._at(move.er, move.ec);
+                let targetType = AbstractGame._typeOf[target];
+                let targetTeam = AbstractGame._teamOf[target];
+                if (target === 0 || targetType === 7 || this._isEliminated(targetTeam) ||
+                    (targetType === 6 && this._onOwnSide(targetTeam, move.er, move.ec)) ||
+                    this._leavesKingInCheck(move)) {
+                    continue;
+                }
+                let rookByMinor = targetType === 1 && (attackerType === 2 || attackerType === 3);
+                if (rookByMinor || !this._isProtected(move)) {
+                    result.push(`${move.er},${move.ec}`);
+                }
+            }
+        }
+        return result;
+    }
+    // true if the piece taken by the capture could be taken back
+    _isProtected(capture) {
+        let to = this._squareOf(capture.er, capture.ec);
+        let team = AbstractGame._teamOf[this._board[to]];
+        let captured = this._doMove(capture);
+        let result = this._pieces[team].slice().some((sq) => {
+            let moves = [];
+            this._generateFrom(sq, true, moves);
+            return moves.some((code) => (code & 1023) === to && !this._exposes(code >> 10, to));
+        });
+        this._undoMove(capture, captured);
+        return result;
+    }
+    // the other player of a two player game
+    _opponentOf(team) {
+        return (team === 1) ? 2 : 1;
+    }
+    // identifies the position (board & player to move) for repetitions, as a 53 bit number
+    _positionKey() {
+        if (this._hashLo === null) {
+            this._hashLo = 0;
+            this._hashHi = 0;
+            for (let sq of this._geo.squares) {
+                if (this._board[sq] !== 0) {
+                    this._toggleHash(sq, this._board[sq]);
+                }
+            }
+        }
+        let side = AbstractGame._zobristSide + this._currentPlayer * 2;
+        let lo = this._hashLo ^ AbstractGame._zobrist[side];
+        let hi = this._hashHi ^ AbstractGame._zobrist[side + 1];
+        return (hi & 0x1fffff) * 4294967296 + (lo >>> 0);
+    }
+    // adds or removes (xor) the piece on the square to the hash
+    _toggleHash(sq, piece) {
+        if (this._hashLo === null) {
+            return;
+        }
+        let index = this._geo.hash[sq] + piece * 2;
+        this._hashLo ^= AbstractGame._zobrist[index];
+        this._hashHi ^= AbstractGame._zobrist[index + 1];
+    }
+    // true if the move of the player left any opponent in check by the player's own pieces. With three
+    //   players another one's check doesn't count, or it would look like a perpetual check by the mover
+    _givesCheck(player) {
+        for (let team = 1; team <= this._numPlayers; team++) {
+            if (team !== player && !this._isEliminated(team) && this._isInCheck(team, player)) {
+                return true;
+            }
+        }
+        return false;
+    }
+    // true if the player is out of the game. Only ThreePlayer goes on after a player loses
+    _isEliminated(team) {
+        return false;
+    }
+    // geometry hooks. a<=x<=b <=> (x-a)(x-b)<=0
+    _inBounds(r, c) {
+        return r * (r - (this._rows - 1)) <= 0 && c * (c - (this._cols - 1)) <= 0;
+    }
+    // red-1 palace at row 7-9 col 3-5 (array notation)
+    // black-2 palace at row 0-2 col 3-5
+    _inPalace(team, r, c) {
+        return ((team === 1) ? r >= 7 : r <= 2) && (c - 3) * (c - 5) <= 0;
+    }
+    // red-1 side at row 5-9 (array notation)
+    // black-2 side at row 0-4
+    _onOwnSide(team, r, c) {
+        return (team === 1) ? r >= 5 : r <= 4;
+    }
+    // [row, column] step towards the enemy
+    _forwardDir(team) {
+        return (team === 1) ? [-1, 0] : [1, 0];
+    }
+    // the part of the game state that a move can change besides the board & player
+    _saveStatus() {
+        return { winner: this._winner, endReason: this._endReason };
+    }
+    _restoreStatus(status) {
+        this._winner = status.winner;
+        this._endReason = status.endReason;
+    }
     // move has to be 2 valid positions. 01-10,A-I. Any combination
-    // return true if validated, false otherwise
+    // return true if validated, false otherwise. The reason is kept for getLastRejection()
     validateMove(move) {
+        return this._reject(this._moveViolation(move));
+    }
+    // "" if the move is legal, or the code of the broken rule
+    _moveViolation(move) {
         // check start: must be ally [don't care about stone yet]
-        if (Math.floor(this._layout[move.sr][move.sc] / 10) !== this._currentPlayer) {
-            console.log("You cannot move this piece.");
-            return false;
+        let piece = this._at(move.sr, move.sc);
+        if (piece === 0) {
+            return "emptySquare";
+        }
+        if (AbstractGame._teamOf[piece] !== this._currentPlayer) {
+            return "wrongOwner";
         }
         // check end: must be empty/enemy & different from start [don't care about neutral teams yet]
-        if (!((this._layout[move.er][move.ec] === 0 ||
-            Math.floor(this._layout[move.er][move.ec] / 10) !== this._currentPlayer)
-            && (move.sr !== move.er || move.sc !== move.ec))) {
-            console.log("You cannot go there");
-            return false;
+        if (move.sr === move.er && move.sc === move.ec) {
+            return "noMove";
         }
-        if (!this._ruleCheck(move)) {
-            return false;
+        let end = this._at(move.er, move.ec);
+        if (end !== 0 && AbstractGame._teamOf[end] === this._currentPlayer) {
+            return "ownPiece";
         }
-        return true;
+        let violation = this._ruleViolation(move);
+        if (violation !== "") {
+            return violation;
+        }
+        return this._leavesKingInCheck(move) ? "leavesKingInCheck" : "";
+    }
+    // records why the last move was refused ("" if it wasn't). returns true if there is no reason
+    _reject(code, detail = "") {
+        this._lastRejection = (code === "") ? null :
+            { code: code, message: AbstractGame.REJECTIONS[code] + ((detail !== "") ? `: ${detail}` : "") };
+        return code === "";
+    }
+    /**
+     * why the last makeMove() or validateMove() failed
+     * @returns {code, message} e.g. {code: "horseLegBlocked", message: "The horse's leg is blocked"},
+     *   or null if it succeeded
+     */
+    getLastRejection() {
+        return this._lastRejection;
+    }
+    // moves the piece without any check. returns the captured piece (0 if nothing)
+    _doMove(move) {
+        return this._doSquares(this._squareOf(move.sr, move.sc), this._squareOf(move.er, move.ec));
+    }
+    // reverses _doMove
+    _undoMove(move, captured) {
+        this._undoSquares(this._squareOf(move.sr, move.sc), this._squareOf(move.er, move.ec), captured);
+    }
+    // _doMove between squares
+    _doSquares(from, to) {
+        let captured = this._board[to];
+        if (captured !== 0) {
+            this._lift(to, captured);
+        }
+        this._shift(from, to, this._board[from]);
+        return captured;
+    }
+    _undoSquares(from, to, captured) {
+        this._shift(to, from, this._board[to]);
+        if (captured !== 0) {
+            this._drop(to, captured);
+        }
+    }
+    // moves the piece to the empty square, keeping its place in the piece list
+    _shift(from, to, piece) {
+        let team = AbstractGame._teamOf[piece];
+        let index = this._where[from];
+        this._board[from] = 0;
+        this._board[to] = piece;
+        this._pieces[team][index] = to;
+        this._where[to] = index;
+        if (AbstractGame._typeOf[piece] === 7) {
+            this._kings[team] = to;
+        }
+        this._toggleHash(from, piece);
+        this._toggleHash(to, piece);
+    }
+    // puts the piece on the empty square
+    _drop(sq, piece) {
+        let team = AbstractGame._teamOf[piece];
+        this._board[sq] = piece;
+        this._where[sq] = this._pieces[team].length;
+        this._pieces[team].push(sq);
+        if (AbstractGame._typeOf[piece] === 7) {
+            this._kings[team] = sq;
+        }
+        this._toggleHash(sq, piece);
+    }
+    // takes the piece off the square. The last piece of the list fills its place
+    _lift(sq, piece) {
+        let team = AbstractGame._teamOf[piece];
+        let list = this._pieces[team];
+        let last = list.pop();
+        if (last !== sq) {
+            list[this._where[sq]] = last;
+            this._where[last] = this._where[sq];
+        }
+        this._board[sq] = 0;
+        if (AbstractGame._typeOf[piece] === 7) {
+            this._kings[team] = -1;
+        }
+        this._toggleHash(sq, piece);
+    }
+    // true if any enemy piece (only the pieces of player by, if given) could take the king of the team right now.
+    // facing generals is covered as the enemy king can "fly" to take it (see _generateFrom)
+    _isInCheck(team, by = 0) {
+        return this._kings[team] !== -1 && this._attacked(this._kings[team], team, by);
+    }
+    // true if a piece of another player still in the game (of player by, if given) could take the team's piece
+    //   on the square. Looks out from the square instead of generating the enemy moves. Guards & elephants
+    //   are left out: they never leave their own half, where no other general can be
+    _attacked(sq, team, by = 0) {
+        let board = this._board;
+        let geo = this._geo;
+        let teamOf = AbstractGame._teamOf;
+        let typeOf = AbstractGame._typeOf;
+        for (let d of geo.straight) {
+            let i = sq + d;
+            while (board[i] === 0) {
+                i += d;
+            }
+            if (board[i] <= 0) {
+                continue;
+            }
+            // rooks & generals (flying) take the first piece on the line, cannons the second one
+            let piece = board[i];
+            if ((typeOf[piece] === 1 || typeOf[piece] === 7) && this._hostile(teamOf[piece], team, by)) {
+                return true;
+            }
+            i += d;
+            while (board[i] === 0) {
+                i += d;
+            }
+            piece = board[i];
+            if (piece > 0 && typeOf[piece] === 3 && this._hostile(teamOf[piece], team, by)) {
+                return true;
+            }
+        }
+        // a horse two steps away takes through the leg next to the square
+        for (let [step, leg] of geo.horseAttacks) {
+            let piece = board[sq + step];
+            if (piece > 0 && typeOf[piece] === 2 && board[sq + leg] === 0 && this._hostile(teamOf[piece], team, by)) {
+                return true;
+            }
+        }
+        for (let enemy = 1; enemy <= this._numPlayers; enemy++) {
+            if (!this._hostile(enemy, team, by)) {
+                continue;
+            }
+            let pawn = enemy * 10 + 6;
+            if (board[sq - geo.forward[enemy]] === pawn) {
+                return true;
+            }
+            for (let side of geo.sideways[enemy]) {
+                if (board[sq - side] === pawn && !geo.ownSide[enemy][sq - side]) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+    // whether the pieces of the other team count as attackers of the team's pieces in _attacked
+    _hostile(other, team, by) {
+        return (by === 0) ? other !== team && !this._isEliminated(other) : other === by;
+    }
+    // true if the move exposes the general of the moving team
+    _leavesKingInCheck(move) {
+        return this._exposes(this._squareOf(move.sr, move.sc), this._squareOf(move.er, move.ec));
+    }
+    // _leavesKingInCheck between squares
+    _exposes(from, to) {
+        let team = AbstractGame._teamOf[this._board[from]];
+        let captured = this._doSquares(from, to);
+        let result = this._isInCheck(team);
+        this._undoSquares(from, to, captured);
+        return result;
     }
-    // check rule:
+    // check rule. returns "" if the move is fine, or the code of the broken rule (see AbstractGame.REJECTIONS)
     //    R1: nothing in between
     //    C3: end empty: nothing in between; end enemy: 1 piece in between
     //    N2: 1x2 & no piece at the block pos
@@ -187,41 +1121,28 @@ class AbstractGame {
     //    E5: stay in its side, 2x2 move, no piece at block pos.
     //    K7: within palace its side, 1x0 move. Or end enemy king & nothing in between
     //    P6: forward 1, or on opponent side (calculated from king pos & its pos) left & right
-    _ruleCheck(move) {
-        // console.log("Rulecheck: "+this._layout[move.sr][move.sc]);
-        let movingPiece = this._layout[move.sr][move.sc];
-        let movingType = movingPiece % 10;
-        let movingTeam = Math.floor(movingPiece / 10);
+    _ruleViolation(move) {
+        let movingPiece = this._at(move.sr, move.sc);
+        let movingType = AbstractGame._typeOf[movingPiece];
+        let movingTeam = AbstractGame._teamOf[movingPiece];
         if (movingType === 1 || movingType === 3) { // rook-1 cannon-3
             if (move.sr !== move.er && move.sc !== move.ec) {
-                return false;
+                return "notStraight";
             } // same row/column
-            let pieceCount = 0; // count the pieces in between
-            for (let i = Math.min(move.sr, move.er) + 1; i < Math.max(move.sr, move.er); i++) { // between sr & er (non-inclusive both sides)
-                if (this._layout[i][move.sc] !== 0) {
-                    pieceCount++;
-                }
-                ;
-            }
-            for (let i = Math.min(move.sc, move.ec) + 1; i < Math.max(move.sc, move.ec); i++) {
-                if (this._layout[move.sr][i] !== 0) {
-                    pieceCount++;
-                }
-                ;
-            } // one of the loop will be omitted as either sr=er or sc=ec
+            let pieceCount = this._countBetween(move);
             if (movingType === 1) {
-                return pieceCount === 0;
+                return (pieceCount === 0) ? "" : "pathBlocked";
             }
-            else {
-                // end empty: nothing in between; end enemy: 1 piece in between
-                return (this._layout[move.er][move.ec] === 0 && pieceCount === 0) ||
-                    (this._layout[move.er][move.ec] !== 0 && pieceCount === 1);
+            // end empty: nothing in between; end enemy: 1 piece in between
+            if (this._at(move.er, move.ec) === 0) {
+                return (pieceCount === 0) ? "" : "pathBlocked";
             }
+            return (pieceCount === 1) ? "" : "cannonScreen";
         }
         else if (movingType === 2) {
             if (!(Math.abs(move.sr - move.er) === 1 && Math.abs(move.sc - move.ec) === 2) &&
                 !(Math.abs(move.sr - move.er) === 2 && Math.abs(move.sc - move.ec) === 1)) { // if not either type of knight move
-                return false;
+                return "notHorseMove";
             }
             // check if blocked
             // relationship (same for row & column):
@@ -232,132 +1153,422 @@ class AbstractGame {
             //       2             1
             let rowCheck = move.er + ((move.er > move.sr) ? -1 : 1);
             let colCheck = move.ec + ((move.ec > move.sc) ? -1 : 1);
-            return this._layout[rowCheck][colCheck] === 0;
+            return (this._at(rowCheck, colCheck) === 0) ? "" : "horseLegBlocked"; // 0 only on the board
         }
         else if (movingType === 4) {
-            // check if left palace:
-            // red-1 palace at row 7-9 col 3-5 (array notation)
-            // black-2 palace at row 0-2 col 3-5
-            if ((movingTeam === 1 && !(move.er >= 7 && (move.ec - 3) * (move.ec - 5) <= 0)) ||
-                (movingTeam === 2 && !(move.er <= 2 && (move.ec - 3) * (move.ec - 5) <= 0))) {
-                return false;
+            // check if left palace
+            if (!this._inPalace(movingTeam, move.er, move.ec)) {
+                return "leftPalace";
             }
             // check if followed the pattern
             if (!(Math.abs(move.sr - move.er) === 1 && Math.abs(move.sc - move.ec) === 1)) {
-                return false;
+                return "notGuardMove";
             }
-            return true;
+            return "";
         }
-        else if (movingType === 5) { // TODO: copied from knight & guard
-            // check if left side:
-            // red-1 palace at row 5-9 (array notation)
-            // black-2 palace at row 0-4
-            if ((movingTeam === 1 && move.er < 5) ||
-                (movingTeam === 2 && move.er > 4)) {
-                return false;
+        else if (movingType === 5) {
+            // check if left side
+            if (!this._onOwnSide(movingTeam, move.er, move.ec)) {
+                return "crossedRiver";
             }
             // check if follow pattern
             if (!(Math.abs(move.sr - move.er) === 2 && Math.abs(move.sc - move.ec) === 2)) {
-                return false;
+                return "notElephantMove";
             }
             // check if blocked
             let rowCheck = move.er + ((move.er > move.sr) ? -1 : 1);
             let colCheck = move.ec + ((move.ec > move.sc) ? -1 : 1);
-            return this._layout[rowCheck][colCheck] === 0;
+            return (this._at(rowCheck, colCheck) === 0) ? "" : "elephantEyeBlocked";
         }
         else if (movingType === 7) {
             // special case: beat the other king
-            let endType = this._layout[move.er][move.ec] % 10;
-            if (endType === 7 && move.sc === move.ec) {
-                // [copied from rook]
-                let pieceCount = 0; // count the pieces in between
-                for (let i = Math.min(move.sr, move.er) + 1; i < Math.max(move.sr, move.er); i++) { // between sr & er (non-inclusive both sides)
-                    if (this._layout[i][move.sc] !== 0) {
-                        pieceCount++;
-                    }
-                }
-                if (pieceCount === 0) {
-                    return true;
-                }
+            let endType = AbstractGame._typeOf[this._at(move.er, move.ec)];
+            if (endType === 7 && (move.sc === move.ec || move.sr === move.er) && this._countBetween(move) === 0) {
+                return "";
             }
-            // [copied from guard] check if left palace:
-            // red-1 palace at row 7-9 col 3-5 (array notation) [but we checked boundaries of move already]
-            // black-2 palace at row 0-2 col 3-5
-            if ((movingTeam === 1 && !(move.er >= 7 && (move.ec - 3) * (move.ec - 5) <= 0)) ||
-                (movingTeam === 2 && !(move.er <= 2 && (move.ec - 3) * (move.ec - 5) <= 0))) {
-                return false;
+            // [copied from guard] check if left palace
+            if (!this._inPalace(movingTeam, move.er, move.ec)) {
+                return "leftPalace";
             }
-            // [copied from knight] check if follow pattern
-            if (!(Math.abs(move.sr - move.er) === 0 && Math.abs(move.sc - move.ec) === 1) &&
-                !(Math.abs(move.sr - move.er) === 1 && Math.abs(move.sc - move.ec) === 0)) {
-                return false;
+            // 1 step up, down, left or right
+            if (Math.abs(move.sr - move.er) + Math.abs(move.sc - move.ec) !== 1) {
+                return "notKingMove";
             }
+            return "";
         }
         else if (movingType === 6) {
-            // check if at opponent's side
-            let atOpponentSide = (movingTeam === 1 && move.er < 5) || (movingTeam === 2 && move.er > 4);
-            let forwardOne = move.ec === move.sc &&
-                ((movingTeam === 1 && move.er === move.sr - 1) || (movingTeam === 2 && move.er === move.sr + 1));
-            let sideOne = move.er === move.sr && Math.abs(move.ec - move.sc) === 1;
-            if (atOpponentSide) {
-                return sideOne || forwardOne;
+            // check if at opponent's side (crossed the river)
+            let atOpponentSide = !this._onOwnSide(movingTeam, move.sr, move.sc);
+            let [dr, dc] = this._forwardDir(movingTeam);
+            let forwardOne = move.er === move.sr + dr && move.ec === move.sc + dc;
+            // 1 step at a right angle to forward
+            let sideOne = Math.abs(move.er - move.sr) + Math.abs(move.ec - move.sc) === 1 &&
+                (move.er - move.sr) * dr + (move.ec - move.sc) * dc === 0;
+            if (forwardOne || (sideOne && atOpponentSide)) {
+                return "";
             }
-            else {
-                return forwardOne;
+            return sideOne ? "pawnNotCrossed" : "notPawnMove";
+        }
+        return "unknownPiece";
+    }
+    // true if the two generals are on the same file with nothing in between
+    _generalsFace() {
+        let geo = this._geo;
+        let red = this._kings[1];
+        let black = this._kings[2];
+        return geo.col[red] === geo.col[black] &&
+            this._countBetween({ sr: geo.row[red], sc: geo.col[red], er: geo.row[black], ec: geo.col[black] }) === 0;
+    }
+    // number of pieces between the start & end of a straight move (not counting either end)
+    _countBetween(move) {
+        let from = this._squareOf(move.sr, move.sc);
+        let to = this._squareOf(move.er, move.ec);
+        let step = (move.sr === move.er) ? Math.sign(to - from) : Math.sign(to - from) * this._geo.width;
+        let pieceCount = 0;
+        for (let i = from + step; i !== to; i += step) {
+            if (this._board[i] !== 0) {
+                pieceCount++;
             }
         }
-        return true;
+        return pieceCount;
     }
+    // returns all the positions ("03H" format) the piece at pos can legally move to.
+    // returns [] if there is no piece of the current player at pos.
     giveAllValidPos(pos) {
-        // check start: must be ally.
-        // check the positions. do it for 4 directions.
-        //    R: while up is empty/bound, add & move 1 up. add upper piece (if not out of bound) if enemy.
-        //    C: while up is empty/bound, add & move 1 up. move up 1 piece (if not out of bound).
-        //       while up is empty/bound, move 1 up. add upper piece (if not out of bound) if enemy.
-        //    N: up 1 (if not oob) check if there's any piece. if not, add 2 pos [up2,left&right1] (if not oob)
-        //    E: up1,right1 (if not oob) check if there's any piece. if not, add [up2,right2] (if not oob)
-        //    G: add up1,right1 (if not oob[palace this side]) if enemy/empty
-        //    P: add up1 if enemy/empty. If crossed river add left&right1 if enemy/empty
-        //    K: add up1 (if not oob[palace this side]) if enemy/empty
-        return [];
-    }
-    // check in palace if there is a king at either side. If someone lose their king they lose
-    // better way to do this: update redAlive & blackAlive every time they move so you don't need to check 18 times
-    _updateWinner() {
-        // red-1 palace at row 7-9 col 3-5 (array notation)
-        // black-2 palace at row 0-2 col 3-5
-        let redAlive = false;
-        let blackAlive = false;
-        for (let i = 0; i <= 2; i++) {
-            for (let j = 0; j <= 5; j++) {
-                let currPiece = this._layout[i][j];
-                if (currPiece === 17) {
-                    redAlive = true;
+        let start = this._interpretPos(pos); // throws error if pos is problematic
+        let result = [];
+        for (let move of this._legalMovesFrom(start.r, start.c)) {
+            result.push(this._posToString(move.er, move.ec));
+        }
+        return result;
+    }
+    // returns all the legal moves ("03H03E" format) for the current player
+    giveAllValidMoves() {
+        return this._allLegalMoves(this._currentPlayer).map((move) => this.toNotation(move));
+    }
+    // converts a move object back into the "03H03E" format. Inverse of interpretMove()
+    toNotation(move) {
+        return this._posToString(move.sr, move.sc) + this._posToString(move.er, move.ec);
+    }
+    // all the legal moves of the team, as move objects
+    _allLegalMoves(team) {
+        return this._legalMoves(team).map((code) => this._moveOf(code));
+    }
+    // legal moves of the piece at (r, c). Only the current player's pieces can move
+    _legalMovesFrom(r, c) {
+        let from = this._squareOf(r, c);
+        if (this._board[from] <= 0 || AbstractGame._teamOf[this._board[from]] !== this._currentPlayer) {
+            return [];
+        }
+        let codes = [];
+        this._generateFrom(from, false, codes);
+        return codes.filter((code) => !this._exposes(from, code & 1023)).map((code) => this._moveOf(code));
+    }
+    // the moves of the piece at (r, c) by the way it moves, as move objects. Same moves as _generateFrom
+    // does not care whose turn it is or whether the own general is left in check
+    _pseudoMovesFrom(r, c) {
+        let codes = [];
+        let from = this._squareOf(r, c);
+        if (this._board[from] > 0) {
+            this._generateFrom(from, false, codes);
+        }
+        return codes.map((code) => this._moveOf(code));
+    }
+    /**
+     * the legal moves of the team as numbers (from << 10 | to). The move generator of the search
+     * @param {number} team
+     * @param {boolean} capturesOnly leaves out the moves to empty squares
+     */
+    _legalMoves(team, capturesOnly = false) {
+        let codes = [];
+        for (let sq of this._pieces[team]) {
+            this._generateFrom(sq, capturesOnly, codes);
+        }
+        return codes.filter((code) => !this._exposes(code >> 10, code & 1023));
+    }
+    // true if the team has any legal move. Stops at the first one
+    _hasLegalMove(team) {
+        let codes = [];
+        for (let sq of this._pieces[team]) {
+            codes.length = 0;
+            this._generateFrom(sq, false, codes);
+            if (codes.some((code) => !this._exposes(sq, code & 1023))) {
+                return true;
+            }
+        }
+        return false;
+    }
+    // adds the moves of the piece on the square to codes, following the same rules as _ruleViolation:
+    //    R: slides until the first piece, which it takes if it is an enemy
+    //    C: slides until the first piece (the screen), then takes the next piece behind it if it is an enemy
+    //    N: 1 straight & 1 diagonal, if the square next to it in the straight direction (the leg) is empty
+    //    E: 2 diagonal on its own side, if the square in between (the eye) is empty
+    //    G: 1 diagonal, K: 1 straight, both within the palace. K also takes a general it faces (flying)
+    //    P: 1 forward, or 1 sideways once across the river
+    // does not care whose turn it is or whether the own general is left in check
+    _generateFrom(from, capturesOnly, codes) {
+        let board = this._board;
+        let geo = this._geo;
+        let piece = board[from];
+        let team = AbstractGame._teamOf[piece];
+        let type = AbstractGame._typeOf[piece];
+        let base = from << 10;
+        // the end square can be empty or hold an enemy piece
+        let add = (to) => {
+            let target = board[to];
+            if ((target === 0 && !capturesOnly) || (target > 0 && AbstractGame._teamOf[target] !== team)) {
+                codes.push(base | to);
+            }
+        };
+        if (type === 1 || type === 3) { // rook-1 cannon-3
+            for (let d of geo.straight) {
+                let to = from + d;
+                while (board[to] === 0) {
+                    if (!capturesOnly) {
+                        codes.push(base | to);
+                    }
+                    to += d;
+                }
+                if (type === 3 && board[to] > 0) {
+                    to += d; // jumps the screen
+                    while (board[to] === 0) {
+                        to += d;
+                    }
                 }
-                if (currPiece === 27) {
-                    blackAlive = true;
+                if (board[to] > 0 && AbstractGame._teamOf[board[to]] !== team) {
+                    codes.push(base | to);
+                }
+            }
+        }
+        else if (type === 2) {
+            for (let [step, leg] of geo.horseMoves) {
+                if (board[from + leg] === 0) {
+                    add(from + step);
                 }
-                currPiece = this._layout[9 - i][j];
-                if (currPiece === 17) {
-                    redAlive = true;
+            }
+        }
+        else if (type === 4) {
+            for (let d of geo.diagonal) {
+                if (geo.palace[team][from + d]) {
+                    add(from + d);
+                }
+            }
+        }
+        else if (type === 5) {
+            for (let d of geo.diagonal) {
+                if (board[from + d] === 0 && geo.ownSide[team][from + 2 * d]) {
+                    add(from + 2 * d);
                 }
-                if (currPiece === 27) {
-                    blackAlive = true;
+            }
+        }
+        else if (type === 6) {
+            add(from + geo.forward[team]);
+            if (!geo.ownSide[team][from]) {
+                for (let side of geo.sideways[team]) {
+                    add(from + side);
+                }
+            }
+        }
+        else if (type === 7) {
+            for (let d of geo.straight) {
+                if (geo.palace[team][from + d]) {
+                    add(from + d);
+                }
+                let to = from + d;
+                while (board[to] === 0) {
+                    to += d;
+                }
+                if (AbstractGame._typeOf[board[to]] === 7 && AbstractGame._teamOf[board[to]] !== team) {
+                    codes.push(base | to);
+                }
+            }
+        }
+    }
+    // the move object of a move number
+    _moveOf(code) {
+        let from = code >> 10;
+        let to = code & 1023;
+        return { sr: this._geo.row[from], sc: this._geo.col[from], er: this._geo.row[to], ec: this._geo.col[to] };
+    }
+    // the move number of a move object
+    _codeOf(move) {
+        return (this._squareOf(move.sr, move.sc) << 10) | this._squareOf(move.er, move.ec);
+    }
+    // the square of the board array at (r, c). Only meaningful on the board & up to 2 squares off it
+    _squareOf(r, c) {
+        return (r + 2) * this._geo.width + c + 2;
+    }
+    // the piece at (r, c), 0 if none
+    _at(r, c) {
+        return this._board[this._squareOf(r, c)];
+    }
+    // puts the pieces of the layout on the empty board. Codes that aren't pieces of this game are left
+    //   out; _validateLayout() reports them
+    _setLayout(layout) {
+        for (let sq of this._geo.squares) {
+            let row = Array.isArray(layout) ? layout[this._geo.row[sq]] : null;
+            let piece = Array.isArray(row) ? row[this._geo.col[sq]] : 0;
+            this._board[sq] = 0;
+            if (Number.isInteger(piece) && piece > 0 && piece < 40 && AbstractGame._teamOf[piece] <= this._numPlayers &&
+                AbstractGame._typeOf[piece] >= 1 && AbstractGame._typeOf[piece] <= 7) {
+                this._drop(sq, piece);
+            }
+        }
+    }
+    // the board of the variant, built from its geometry hooks the first time it is needed: rows x cols
+    //   with a border of 2 squares all around, so no step (not even a horse's) leaves the array.
+    //   Square (r, c) is (r + 2) * width + c + 2. The tables are indexed by square
+    //   squares: the ones on the board. row, col: -1 off the board. hash: start of its zobrist keys
+    //   palace, ownSide: per team, 1 for the squares in its palace / on its side of the river
+    //   forward: per team, the step towards the enemy. sideways: the steps at a right angle to it
+    //   straight, diagonal: steps. horseMoves: [step, leg] for the 8 horse moves, horseAttacks: the same
+    //   seen from the square attacked
+    _geometry() {
+        let geo = AbstractGame._geometries.get(this.constructor);
+        if (geo) {
+            return geo;
+        }
+        let width = this._cols + 4;
+        let size = width * (this._rows + 4);
+        geo = {
+            width: width, size: size, squares: [],
+            row: new Int8Array(size).fill(-1), col: new Int8Array(size).fill(-1), hash: new Int32Array(size),
+            palace: [null], ownSide: [null], forward: [0], sideways: [null],
+            straight: [-width, width, -1, 1], diagonal: [-width - 1, -width + 1, width - 1, width + 1],
+            horseMoves: [], horseAttacks: []
+        };
+        for (let i = 0; i < this._rows; i++) {
+            for (let j = 0; j < this._cols; j++) {
+                if (this._inBounds(i, j)) {
+                    let sq = (i + 2) * width + j + 2;
+                    geo.squares.push(sq);
+                    geo.row[sq] = i;
+                    geo.col[sq] = j;
+                    geo.hash[sq] = (i * this._cols + j) * 40 * 2;
                 }
             }
         }
+        for (let team = 1; team <= this._numPlayers; team++) {
+            let palace = new Uint8Array(size);
+            let ownSide = new Uint8Array(size);
+            for (let sq of geo.squares) {
+                palace[sq] = this._inPalace(team, geo.row[sq], geo.col[sq]) ? 1 : 0;
+                ownSide[sq] = this._onOwnSide(team, geo.row[sq], geo.col[sq]) ? 1 : 0;
+            }
+            let [dr, dc] = this._forwardDir(team);
+            geo.palace.push(palace);
+            geo.ownSide.push(ownSide);
+            geo.forward.push(dr * width + dc);
+            geo.sideways.push([dc * width + dr, -(dc * width + dr)]);
+        }
+        for (let [dr, dc] of AbstractGame._straight) {
+            let leg = dr * width + dc;
+            let across = dc * width + dr; // one step at a right angle
+            geo.horseMoves.push([2 * leg + across, leg], [2 * leg - across, leg]);
+            geo.horseAttacks.push([2 * leg + across, leg + across], [2 * leg - across, leg - across]);
+        }
+        AbstractGame._geometries.set(this.constructor, geo);
+        return geo;
+    }
+    // "03H" => {r: 7, c: 7}. Same rules as interpretMove
+    _interpretPos(pos) {
+        if (!pos || pos.length !== 3) {
+            throw new Error(`Wrong position length: ${pos}(length ${pos.length})`);
+        }
+        let r = this._rows - parseInt(pos.substring(0, 2));
+        let c = pos.toUpperCase().charCodeAt(2) - 65;
+        if (isNaN(r) || isNaN(c) || !this._inBounds(r, c)) {
+            throw new Error("Unable to understand position: " + pos);
+        }
+        return { r: r, c: c };
+    }
+    // {r: 7, c: 7} => "03H"
+    _posToString(r, c) {
+        let row = this._rows - r;
+        return ((row < 10) ? "0" : "") + row + String.fromCharCode(65 + c);
+    }
+    // a player whose general was taken loses (the generals are tracked in _kings)
+    // if both are alive, the player to move loses when they have no legal moves (checkmate or stalemate)
+    _updateWinner() {
+        let redAlive = this._kings[1] !== -1;
+        let blackAlive = this._kings[2] !== -1;
         if (!redAlive && !blackAlive) {
             throw new Error("How did both kings die??");
         }
         if (!blackAlive) {
             this._winner = 1;
+            this._endReason = "kingCaptured";
         }
         else if (!redAlive) {
             this._winner = 2;
+            this._endReason = "kingCaptured";
+        }
+        else if (!this._hasLegalMove(this._currentPlayer)) {
+            this._winner = (this._currentPlayer === 1) ? 2 : 1;
+            this._endReason = this._isInCheck(this._currentPlayer) ? "checkmate" : "stalemate";
         }
     }
 }
 AbstractGame._types = "-RNCGEPKS";
+AbstractGame._layoutSource = null;
+AbstractGame._rows = 10;
+AbstractGame._cols = 9;
+AbstractGame._numPlayers = 2;
+AbstractGame._alternating = true;
+AbstractGame._straight = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+AbstractGame._diagonal = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+// FEN letter => piece type. B/E (elephant) and N/H (horse) are both in use
+AbstractGame._fenTypes = { R: 1, N: 2, H: 2, C: 3, A: 4, B: 5, E: 5, P: 6, K: 7 };
+// the board: off-board squares, board shapes by variant (see _geometry()) & the team / type of piece codes
+AbstractGame._OFF = -1;
+AbstractGame._geometries = new Map();
+AbstractGame._teamOf = new Int8Array(40).map((x, code) => Math.floor(code / 10));
+AbstractGame._typeOf = new Int8Array(40).map((x, code) => code % 10);
+// see on()
+AbstractGame.EVENTS = ["move", "capture", "check", "undo", "gameOver", "illegalMove"];
+// why a move was refused, by code. See getLastRejection()
+AbstractGame.REJECTIONS = {
+    gameOver: "The game is over",
+    notYourTurn: "It is not your turn",
+    badNotation: "The move is not understood",
+    emptySquare: "There is no piece to move there",
+    wrongOwner: "You cannot move this piece",
+    noMove: "The piece has to move",
+    ownPiece: "You cannot take your own piece",
+    notStraight: "Rooks & cannons move in straight lines",
+    pathBlocked: "The way is blocked",
+    cannonScreen: "Cannons take by jumping over exactly one piece",
+    notHorseMove: "Horses move one step straight & one diagonally",
+    horseLegBlocked: "The horse's leg is blocked",
+    leftPalace: "The piece cannot leave the palace",
+    notGuardMove: "Guards move one step diagonally",
+    crossedRiver: "Elephants cannot cross the river",
+    notElephantMove: "Elephants move two steps diagonally",
+    elephantEyeBlocked: "The elephant's eye is blocked",
+    notKingMove: "Generals move one step straight",
+    notPawnMove: "Pawns move one step forward, or sideways once across the river",
+    pawnNotCrossed: "Pawns can only move sideways across the river",
+    unknownPiece: "The piece is not known",
+    leavesKingInCheck: "You cannot leave your general in check",
+    forbiddenRepetition: "This repetition is not allowed"
+};
+// 60 moves each without a capture
+AbstractGame._moveLimit = 120;
+// zobrist keys: 2 random 32 bit numbers per (square, piece code < 40) of the largest board (19x14),
+//   then per player to move. Seeded, so keys are the same on every run
+AbstractGame._zobristSide = 19 * 14 * 40 * 2;
+AbstractGame._zobrist = (function () {
+    let keys = new Int32Array(AbstractGame._zobristSide + 10);
+    let seed = 0x2545f491;
+    for (let i = 0; i < keys.length; i++) {
+        // xorshift32
+        seed ^= seed << 13;
+        seed ^= seed >>> 17;
+        seed ^= seed << 5;
+        keys[i] = seed;
+    }
+    return keys;
+})();
 function statusCheck(res) {
     return __awaiter(this, void 0, void 0, function* () {
         if (!res.ok) {
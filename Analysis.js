@@ -0,0 +1,72 @@
+/**
+ *
+ * reviews a game move by move with the AI's search: the evaluation of every position, and the moves that
+ *   lost a lot against the search's best move (blunders) or passed up a capture it preferred (missed captures).
+ * scores are in the AI's units (a pawn is 30, a rook 600; see AI.js). Evaluations are from red's side,
+ *   losses from the mover's. The search is shallow so a review is quick; it is a guide, not a verdict.
+ * games the AI can play only (see AI.canPlay()): positions are rebuilt with copyAt().
+ */
+import { AI } from './AI.js';
+class Analysis {
+    /**
+     * @param {*} options {depth, timeMs} of the search at each position. Analysis.SEARCH by default
+     */
+    constructor(options = Analysis.SEARCH) {
+        this._ai = new AI(options);
+    }
+    /**
+     * analyses the moves played so far. The game is not changed
+     * @param {AbstractGame} game
+     * @returns {evals, moves}. evals[ply] is the score of the position after ply moves, for red.
+     *   moves[ply - 1] is about the move of that ply: {ply, move, player, best, loss, blunder, missedCapture}
+     *   best is the search's move ("03B03E"), loss what the played move gave away compared to it (0 or more)
+     *   and missedCapture the capture it preferred when that cost at least Analysis.MISSED_CAPTURE, else null
+     */
+    analyse(game) {
+        let copy = game.copyAt(0);
+        let history = game.getHistory().slice(0, game.getPly());
+        let before = this._search(copy);
+        let result = { evals: [Analysis._forRed(copy, before.score)], moves: [] };
+        history.forEach((notation, i) => {
+            let player = copy.getCurrPlayer();
+            let layout = copy.getLayout();
+            let best = (before.move) ? copy.interpretMove(before.move) : null;
+            copy.makeMove(notation);
+            let after = this._search(copy);
+            let loss = Math.max(0, before.score + after.score); // after.score is for the other player
+            let missed = best !== null && before.move !== notation && layout[best.er][best.ec] !== 0 &&
+                loss >= Analysis.MISSED_CAPTURE;
+            result.evals.push(Analysis._forRed(copy, after.score));
+            result.moves.push({
+                ply: i + 1,
+                move: notation,
+                player: player,
+                best: before.move,
+                loss: loss,
+                blunder: loss >= Analysis.BLUNDER,
+                missedCapture: missed ? before.move : null
+            });
+            before = after;
+        });
+        return result;
+    }
+    // {move, score} for the player to move. Finished games score the result
+    _search(game) {
+        if (game.isGameOver()) {
+            let winner = game.getWinner();
+            return { move: null, score: (winner === 0) ? 0 : ((winner === game.getCurrPlayer()) ? AI.MATE : -AI.MATE) };
+        }
+        let result = this._ai.search(game);
+        return { move: result.move, score: result.score };
+    }
+    // a score of the player to move, turned to red's side
+    static _forRed(game, score) {
+        return (game.getCurrPlayer() === 1) ? score : -score;
+    }
+}
+// a quick search: every position of the game is searched once
+Analysis.SEARCH = { depth: 2, timeMs: 1000 };
+// losses (in AI units) that make a move a blunder / a missed capture
+Analysis.BLUNDER = 250;
+Analysis.MISSED_CAPTURE = 100;
+export { Analysis };
@@ -0,0 +1,87 @@
+/**
+ *
+ * comments & variations attached to a game's moves, saved in game records (see GameRecord.js).
+ *   plies number the positions: 0 is the start, n the position after the nth move.
+ *   a comment is about the position at its ply, i.e. about the move that led to it.
+ *   a variation is another line from the position at its ply, played instead of move ply + 1. It is a
+ *     list of moves in "03B03E" format, checked when it is added.
+ * comments are one line of text without braces, so they fit in the record's {...}.
+ */
+import { Notation } from './Notation.js';
+class Annotations {
+    constructor() {
+        this._comments = {}; // ply => text
+        this._variations = {}; // ply => [[moves], ...]
+    }
+    // "" if the ply has no comment
+    getComment(ply) {
+        return this._comments[ply] || "";
+    }
+    // an empty text removes the comment
+    setComment(ply, text) {
+        let comment = String(text).replace(/[{}]/g, "").replace(/\s+/g, " ").trim();
+        if (comment === "") {
+            delete this._comments[ply];
+        }
+        else {
+            this._comments[ply] = comment;
+        }
+    }
+    getVariations(ply) {
+        return (this._variations[ply] || []).map((line) => line.slice());
+    }
+    /**
+     * adds a line played instead of move ply + 1 of the game. Throws if a move of it is not accepted
+     * @param {AbstractGame} game two player game
+     * @param {number} ply 0 to the number of moves played - 1
+     * @param {string[]} moves in any notation Notation.parse() understands
+     * @returns the line in "03B03E" format
+     */
+    addVariation(game, ply, moves) {
+        if (!Number.isInteger(ply) || ply < 0 || ply >= game.getPly()) {
+            throw new Error(`A variation replaces a played move: pick a position from 0 to ${game.getPly() - 1}`);
+        }
+        if (moves.length === 0) {
+            throw new Error("A variation needs at least one move");
+        }
+        let copy = game.copyAt(ply);
+        let line = moves.map((str, i) => {
+            let notation;
+            try {
+                notation = copy.toNotation(Notation.parse(str, copy));
+            }
+            catch (e) {
+                throw new Error(`Move ${i + 1} (${str}) of the variation is not understood: ${e.message}`);
+            }
+            if (!copy.makeMove(notation).ok) {
+                throw new Error(`Move ${i + 1} (${str}) of the variation is not accepted: ${copy.getLastRejection().message}`);
+            }
+            return notation;
+        });
+        if (!this._variations[ply]) {
+            this._variations[ply] = [];
+        }
+        this._variations[ply].push(line);
+        return line.slice();
+    }
+    removeVariation(ply, index) {
+        let lines = this._variations[ply];
+        if (!lines || index < 0 || index >= lines.length) {
+            return false;
+        }
+        lines.splice(index, 1);
+        if (lines.length === 0) {
+            delete this._variations[ply];
+        }
+        return true;
+    }
+    // the plies with a comment or variations, in order
+    getPlies() {
+        let plies = Object.keys(this._comments).concat(Object.keys(this._variations)).map(Number);
+        return plies.filter((ply, i) => plies.indexOf(ply) === i).sort((a, b) => a - b);
+    }
+    isEmpty() {
+        return this.getPlies().length === 0;
+    }
+}
+export { Annotations };
@@ -0,0 +1,371 @@
+/**
+ *
+ * 3D view of a game with Three.js. Draws the board of any variant (grid, river, palaces), the pieces as
+ *   discs labelled with their characters, and lets the player pick a piece & a target with the mouse.
+ *   The camera orbits with the mouse (left drag), zooms with the wheel and pans with right drag.
+ * the view never changes the game: a picked move goes to the onMove callback as "03B03E", and the page
+ *   calls update(game) once the game has changed. update() animates single moves (and their
+ *   captures) & redraws everything else (undo several moves, new games...).
+ *
+ * three is loaded through the import map in index.html, from node_modules (see package.json).
+ */
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+class BoardView {
+    /**
+     * @param {HTMLElement} container the canvas is added to it and sized after it
+     * @param {function} onMove called with the move ("03B03E") when the player picks one
+     */
+    constructor(container, onMove) {
+        this._container = container;
+        this._onMove = onMove;
+        this._game = null;
+        this._layout = null; // the layout shown, to find what changed in update()
+        this._pieces = {}; // "r,c" => piece mesh
+        this._markers = [];
+        this._selected = null; // [r, c] of the picked piece
+        this._animations = [];
+        this._textures = {}; // piece code => label texture
+        this.enabled = true; // false while the computer is thinking
+        this.onSquare = null; // when set (position editor), clicks call it with the square ("03B") instead of picking moves
+        this._renderer = new THREE.WebGLRenderer({ antialias: true });
+        this._renderer.setPixelRatio(window.devicePixelRatio);
+        container.appendChild(this._renderer.domElement);
+        this._scene = new THREE.Scene();
+        this._scene.background = new THREE.Color(0xe8dcc0);
+        this._scene.add(new THREE.AmbientLight(0xffffff, 1.2));
+        let light = new THREE.DirectionalLight(0xffffff, 1.5);
+        light.position.set(3, 12, 8);
+        this._scene.add(light);
+        this._camera = new THREE.PerspectiveCamera(45, 1, 0.1, 200);
+        this._controls = new OrbitControls(this._camera, this._renderer.domElement);
+        this._controls.maxPolarAngle = Math.PI / 2.2; // stay above the board
+        this._board = new THREE.Group();
+        this._scene.add(this._board);
+        this._raycaster = new THREE.Raycaster();
+        // tells a click from the end of a camera drag
+        let down = null;
+        this._renderer.domElement.addEventListener("pointerdown", (evt) => {
+            down = [evt.clientX, evt.clientY];
+        });
+        this._renderer.domElement.addEventListener("pointerup", (evt) => {
+            if (down && Math.abs(evt.clientX - down[0]) + Math.abs(evt.clientY - down[1]) < 5) {
+                this._click(evt);
+            }
+            down = null;
+        });
+        window.addEventListener("resize", () => this._resize());
+        this._resize();
+        this._renderer.setAnimationLoop((time) => this._frame(time));
+    }
+    /**
+     * waits for the page fonts, so the piece labels are drawn with the right one
+     * @returns promise resolved when the view can be used
+     */
+    ready() {
+        return document.fonts.ready;
+    }
+    /**
+     * shows the current state of the game
+     * @param {AbstractGame} game
+     */
+    update(game) {
+        let layout = game.getLayout();
+        let rebuild = game !== this._game || !this._animate(layout);
+        this._game = game;
+        this._layout = layout;
+        if (rebuild) {
+            this._build();
+        }
+        this._select(null);
+    }
+    // draws the board & all pieces from scratch
+    _build() {
+        this._animations = [];
+        this._scene.remove(this._board);
+        this._board = new THREE.Group();
+        this._scene.add(this._board);
+        this._pieces = {};
+        let rows = this._layout.length;
+        let cols = this._layout[0].length;
+        this._drawBoard(rows, cols);
+        for (let i = 0; i < rows; i++) {
+            for (let j = 0; j < cols; j++) {
+                if (this._layout[i][j] !== 0) {
+                    this._addPiece(this._layout[i][j], i, j);
+                }
+            }
+        }
+        this._camera.position.set(0, Math.max(rows, cols) * 1.1, rows * 0.9);
+        this._controls.target.set(0, 0, 0);
+        this._controls.update();
+    }
+    _drawBoard(rows, cols) {
+        let game = this._game;
+        let plane = new THREE.Mesh(new THREE.BoxGeometry(cols + 0.6, 0.3, rows + 0.6),
+            new THREE.MeshStandardMaterial({ color: 0xd9a864 }));
+        plane.position.y = -0.15;
+        plane.userData.board = true;
+        this._board.add(plane);
+        let points = [];
+        let line = (r1, c1, r2, c2) => {
+            points.push(this._toWorld(r1, c1, 0.01), this._toWorld(r2, c2, 0.01));
+        };
+        for (let i = 0; i < rows; i++) {
+            for (let j = 0; j < cols; j++) {
+                if (!game._inBounds(i, j)) {
+                    continue;
+                }
+                if (j + 1 < cols && game._inBounds(i, j + 1)) {
+                    line(i, j, i, j + 1);
+                }
+                // the river cuts the files of the two player board, except at the sides
+                let river = game.getNumPlayers() === 2 && i === rows / 2 - 1 && j !== 0 && j !== cols - 1;
+                if (i + 1 < rows && game._inBounds(i + 1, j) && !river) {
+                    line(i, j, i + 1, j);
+                }
+            }
+        }
+        // palace diagonals, corner to corner
+        for (let team = 1; team <= game.getNumPlayers(); team++) {
+            let squares = [];
+            for (let i = 0; i < rows; i++) {
+                for (let j = 0; j < cols; j++) {
+                    if (game._inBounds(i, j) && game._inPalace(team, i, j)) {
+                        squares.push([i, j]);
+                    }
+                }
+            }
+            if (squares.length > 0) {
+                let [top, left] = squares[0];
+                let [bottom, right] = squares[squares.length - 1];
+                line(top, left, bottom, right);
+                line(top, right, bottom, left);
+            }
+        }
+        this._board.add(new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineBasicMaterial({ color: 0x5a3410 })));
+    }
+    _addPiece(code, r, c) {
+        let team = Math.floor(code / 10);
+        let side = new THREE.MeshStandardMaterial({ color: 0xf3e2bd });
+        let top = new THREE.MeshStandardMaterial({ map: this._texture(code) });
+        let mesh = new THREE.Mesh(BoardView._pieceGeometry, [side, top, side]);
+        mesh.position.copy(this._toWorld(r, c, BoardView._pieceHeight / 2));
+        // labels face their owner
+        mesh.rotation.y = [0, 0, Math.PI, -Math.PI / 2][team] || 0;
+        mesh.userData.square = [r, c];
+        this._board.add(mesh);
+        this._pieces[`${r},${c}`] = mesh;
+        return mesh;
+    }
+    // the character of the piece in its team's colour, drawn on a canvas
+    _texture(code) {
+        if (!this._textures[code]) {
+            let team = Math.floor(code / 10);
+            let canvas = document.createElement("canvas");
+            canvas.width = 128;
+            canvas.height = 128;
+            let ctx = canvas.getContext("2d");
+            ctx.fillStyle = "#f3e2bd";
+            ctx.fillRect(0, 0, 128, 128);
+            ctx.strokeStyle = BoardView._colors[team];
+            ctx.lineWidth = 6;
+            ctx.beginPath();
+            ctx.arc(64, 64, 52, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.fillStyle = BoardView._colors[team];
+            ctx.font = "bold 68px 'KaiTi', 'STKaiti', serif";
+            ctx.textAlign = "center";
+            ctx.textBaseline = "middle";
+            ctx.fillText(BoardView._names[(team === 2) ? 1 : 0].charAt(code % 10), 64, 68);
+            let texture = new THREE.CanvasTexture(canvas);
+            texture.colorSpace = THREE.SRGBColorSpace;
+            texture.center.set(0.5, 0.5);
+            texture.rotation = -Math.PI / 2; // the cylinder cap's u axis points along z
+            this._textures[code] = texture;
+        }
+        return this._textures[code];
+    }
+    // the picked piece is lifted & its targets marked. null drops the selection
+    _select(square) {
+        if (this._selected) {
+            let mesh = this._pieces[this._selected.join(",")];
+            if (mesh) {
+                mesh.position.y = BoardView._pieceHeight / 2;
+            }
+        }
+        for (let marker of this._markers) {
+            this._board.remove(marker);
+        }
+        this._markers = [];
+        this._selected = square;
+        if (!square) {
+            return;
+        }
+        this._pieces[square.join(",")].position.y += 0.25;
+        for (let pos of this._game.giveAllValidPos(this._game._posToString(square[0], square[1]))) {
+            let target = this._game._interpretPos(pos);
+            let marker = new THREE.Mesh(BoardView._markerGeometry,
+                new THREE.MeshBasicMaterial({ color: 0x2e8b57, transparent: true, opacity: 0.7 }));
+            marker.rotation.x = -Math.PI / 2;
+            marker.position.copy(this._toWorld(target.r, target.c, 0.02));
+            marker.userData.square = [target.r, target.c];
+            this._board.add(marker);
+            this._markers.push(marker);
+        }
+    }
+    // picks the piece or the target under the mouse
+    _click(evt) {
+        if (!this._game || !this.enabled || this._game.isGameOver()) {
+            return;
+        }
+        let rect = this._renderer.domElement.getBoundingClientRect();
+        let pointer = new THREE.Vector2((evt.clientX - rect.left) / rect.width * 2 - 1,
+            -(evt.clientY - rect.top) / rect.height * 2 + 1);
+        this._raycaster.setFromCamera(pointer, this._camera);
+        let hit = this._raycaster.intersectObjects(this._board.children, false)
+            .find((item) => item.object.userData.square || item.object.userData.board);
+        if (!hit) {
+            return;
+        }
+        // the board itself: the nearest point
+        this._pick(hit.object.userData.square || this._fromWorld(hit.point));
+    }
+    // a click on the square ([r, c], null off the board): picks a piece, plays a move to a marked target or drops the selection
+    _pick(square) {
+        if (!square) {
+            this._select(null);
+            return;
+        }
+        if (this.onSquare) {
+            this.onSquare(this._game._posToString(square[0], square[1]));
+            return;
+        }
+        let isTarget = this._markers.some((marker) => marker.userData.square[0] === square[0] &&
+            marker.userData.square[1] === square[1]);
+        if (this._selected && isTarget) {
+            let move = this._game.toNotation({ sr: this._selected[0], sc: this._selected[1], er: square[0], ec: square[1] });
+            this._select(null);
+            this._onMove(move);
+        }
+        else if (Math.floor(this._layout[square[0]][square[1]] / 10) === this._game.getCurrPlayer()) {
+            this._select(square);
+        }
+        else {
+            this._select(null);
+        }
+    }
+    // slides the piece of a single move (or take-back) to its new square. Returns false if the
+    //   new layout is not one move away from the shown one
+    _animate(layout) {
+        if (!this._layout || layout.length !== this._layout.length) {
+            return false;
+        }
+        let changed = [];
+        for (let i = 0; i < layout.length; i++) {
+            for (let j = 0; j < layout[i].length; j++) {
+                if (layout[i][j] !== this._layout[i][j]) {
+                    changed.push([i, j]);
+                }
+            }
+        }
+        if (changed.length !== 2) {
+            return false;
+        }
+        // the piece leaves "from" and shows up on "to"
+        let [from, to] = changed;
+        if (layout[to[0]][to[1]] !== this._layout[from[0]][from[1]]) {
+            [from, to] = [to, from];
+        }
+        if (layout[to[0]][to[1]] !== this._layout[from[0]][from[1]] || this._layout[from[0]][from[1]] === 0) {
+            return false;
+        }
+        this._finishAnimations();
+        let mesh = this._pieces[from.join(",")];
+        let captured = this._pieces[to.join(",")];
+        delete this._pieces[from.join(",")];
+        this._pieces[to.join(",")] = mesh;
+        mesh.userData.square = to;
+        let start = mesh.position.clone();
+        let end = this._toWorld(to[0], to[1], BoardView._pieceHeight / 2);
+        this._animations.push({
+            begin: null, duration: 350,
+            step: (t) => {
+                mesh.position.lerpVectors(start, end, t);
+                mesh.position.y = end.y + Math.sin(t * Math.PI) * 0.8;
+            },
+            done: () => mesh.position.copy(end)
+        });
+        if (captured) {
+            // the captured piece sinks into the board once the other one lands
+            this._animations.push({
+                begin: null, duration: 500,
+                step: (t) => {
+                    let s = Math.max(0, t * 1.6 - 0.6);
+                    captured.scale.setScalar(1 - s);
+                    captured.position.y = BoardView._pieceHeight / 2 - s * BoardView._pieceHeight;
+                },
+                done: () => this._board.remove(captured)
+            });
+        }
+        // a take-back puts the captured piece back on the square left
+        let restored = layout[from[0]][from[1]];
+        if (restored !== 0) {
+            let piece = this._addPiece(restored, from[0], from[1]);
+            piece.scale.setScalar(0);
+            this._animations.push({
+                begin: null, duration: 350,
+                step: (t) => piece.scale.setScalar(t),
+                done: () => piece.scale.setScalar(1)
+            });
+        }
+        return true;
+    }
+    _finishAnimations() {
+        for (let animation of this._animations) {
+            animation.done();
+        }
+        this._animations = [];
+    }
+    _frame(time) {
+        this._animations = this._animations.filter((animation) => {
+            if (animation.begin === null) {
+                animation.begin = time;
+            }
+            let t = Math.min(1, (time - animation.begin) / animation.duration);
+            animation.step(t);
+            if (t === 1) {
+                animation.done();
+            }
+            return t < 1;
+        });
+        this._controls.update();
+        this._renderer.render(this._scene, this._camera);
+    }
+    _resize() {
+        let width = this._container.clientWidth || 600;
+        let height = Math.min(width, window.innerHeight * 0.8);
+        this._renderer.setSize(width, height);
+        this._camera.aspect = width / height;
+        this._camera.updateProjectionMatrix();
+    }
+    // board square => point on the board, centred on the origin. Red sits on the +z side
+    _toWorld(r, c, y) {
+        return new THREE.Vector3(c - (this._layout[0].length - 1) / 2, y, r - (this._layout.length - 1) / 2);
+    }
+    // point on the board => nearest square, null if it is off the board
+    _fromWorld(point) {
+        let r = Math.round(point.z + (this._layout.length - 1) / 2);
+        let c = Math.round(point.x + (this._layout[0].length - 1) / 2);
+        return this._game._inBounds(r, c) ? [r, c] : null;
+    }
+}
+BoardView._pieceHeight = 0.3;
+BoardView._pieceGeometry = new THREE.CylinderGeometry(0.42, 0.42, BoardView._pieceHeight, 40);
+BoardView._markerGeometry = new THREE.CircleGeometry(0.16, 24);
+// team => colour of the labels
+BoardView._colors = [null, "#c0161b", "#1a1a1a", "#1f4fa8"];
+// piece type => character, same order as AbstractGame._types. Red (& the third player), then black
+BoardView._names = ["-车马炮仕相兵帅", "-车马炮士象卒将"];
+export { BoardView };
@@ -0,0 +1,16 @@
+/**
+ *
+ * friendly games. Moves can be taken back at any time, and a forbidden repetition (perpetual check
+ *   or chase) doesn't lose: makeMove() refuses the move and the player has to try something else.
+ */
+import { AbstractGame } from './AbstractGame.js';
+class Casual extends AbstractGame {
+    _allowsTakeback() {
+        return true;
+    }
+    _forbiddenRepetitionLoses() {
+        return false;
+    }
+}
+Casual._variant = "Casual";
+export { Casual };
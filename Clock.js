@@ -0,0 +1,155 @@
+/**
+ *
+ * chess clock for the players of a game. Time controls (all times in ms):
+ *   sudden death: {baseMs}                       the whole game in baseMs
+ *   fischer:      {baseMs, incrementMs}          incrementMs is added after each move
+ *   byo-yomi:     {baseMs, periodMs, periods}    once baseMs is used up, each move has to be made within
+ *                                                periodMs. Going over uses up a period; a player who
+ *                                                goes over the last one runs out of time
+ * only one player's time runs at once. The game drives the clock (see AbstractGame.setClock()): a move
+ *   stops the mover's time & starts the next player's, a takeback pauses it.
+ * the time source can be passed in, e.g. a fake one for tests. It has to return milliseconds.
+ * toJSON() & Clock.fromJSON() save the times left, e.g. to carry on a saved game (see GameStore.js).
+ */
+class Clock {
+    /**
+     * @param {*} control {baseMs, incrementMs, periodMs, periods}. See Clock.CONTROLS for the presets
+     * @param {number} numPlayers
+     * @param {function} now the time source. Date.now by default
+     */
+    constructor(control, numPlayers = 2, now = () => Date.now()) {
+        if (!(control.baseMs >= 0) || (control.periods > 0 && !(control.periodMs > 0))) {
+            throw new Error("A time control needs baseMs, and periodMs when it has periods");
+        }
+        this._control = Object.assign({}, control);
+        this._baseMs = control.baseMs;
+        this._incrementMs = control.incrementMs || 0;
+        this._periodMs = control.periodMs || 0;
+        this._now = now;
+        this._running = 0; // player whose time is running, 0 if paused
+        this._startedAt = 0;
+        // per player, index 0 unused. left is the main time, or the current period once in byo-yomi
+        this._left = [];
+        this._periods = [];
+        this._byoyomi = [];
+        for (let team = 0; team <= numPlayers; team++) {
+            this._left.push(control.baseMs);
+            this._periods.push(control.periods || 0);
+            this._byoyomi.push(false);
+        }
+    }
+    // starts the player's time. The running one (if any) is stopped first, without increment
+    start(player) {
+        this.pause();
+        this._running = player;
+        this._startedAt = this._now();
+    }
+    // stops the time until the next start() or switchTo()
+    pause() {
+        if (this._running !== 0) {
+            this._settle(this._running, this._now() - this._startedAt);
+            this._running = 0;
+        }
+    }
+    /**
+     * ends the turn of the player who moved & starts the next one
+     * @param {number} mover gets the increment, or a fresh period in byo-yomi, if their time was running.
+     *   A move played while the clock was paused (e.g. after a takeback) gains no time
+     * @param {number} next
+     */
+    switchTo(mover, next) {
+        if (this._running === mover) {
+            this._settle(mover, this._now() - this._startedAt);
+            this._running = 0;
+            if (!this.isFlagged(mover)) {
+                this._left[mover] = this._byoyomi[mover] ? this._periodMs : this._left[mover] + this._incrementMs;
+            }
+        }
+        this.start(next);
+    }
+    // player whose time is running, 0 if the clock is paused
+    getRunning() {
+        return this._running;
+    }
+    // ms left for the player right now: the main time, or what is left of the current period
+    getRemaining(player) {
+        return Math.max(0, this._state(player).left);
+    }
+    // byo-yomi periods the player has not started yet
+    getPeriods(player) {
+        return this._state(player).periods;
+    }
+    isInByoyomi(player) {
+        return this._state(player).byoyomi;
+    }
+    // true if the player is out of time
+    isFlagged(player) {
+        return this._state(player).left <= 0;
+    }
+    // the player's time with the running time taken off, without changing anything
+    _state(player) {
+        let elapsed = (this._running === player) ? this._now() - this._startedAt : 0;
+        return Clock._use({ left: this._left[player], periods: this._periods[player], byoyomi: this._byoyomi[player] },
+            elapsed, this._periodMs);
+    }
+    // takes the elapsed time off the player's clock
+    _settle(player, elapsed) {
+        let state = Clock._use({ left: this._left[player], periods: this._periods[player], byoyomi: this._byoyomi[player] },
+            elapsed, this._periodMs);
+        this._left[player] = state.left;
+        this._periods[player] = state.periods;
+        this._byoyomi[player] = state.byoyomi;
+    }
+    // uses up the time: main time first, then one period after another
+    static _use(state, elapsed, periodMs) {
+        let left = state.left - elapsed;
+        let periods = state.periods;
+        let byoyomi = state.byoyomi;
+        while (left <= 0 && periods > 0) {
+            left += periodMs;
+            periods--;
+            byoyomi = true;
+        }
+        return { left: left, periods: periods, byoyomi: byoyomi };
+    }
+    // the control & every player's time as plain data, with the running time taken off. The clock is not changed
+    toJSON() {
+        let players = [];
+        for (let player = 1; player < this._left.length; player++) {
+            players.push(this._state(player));
+        }
+        return { control: Object.assign({}, this._control), players: players };
+    }
+    /**
+     * a paused clock with the times of toJSON()
+     * @param {*} data {control, players: [{left, periods, byoyomi}, ...]}
+     * @param {function} now the time source. Date.now by default
+     */
+    static fromJSON(data, now = () => Date.now()) {
+        let clock = new Clock(data.control, data.players.length, now);
+        data.players.forEach((state, i) => {
+            clock._left[i + 1] = state.left;
+            clock._periods[i + 1] = state.periods;
+            clock._byoyomi[i + 1] = state.byoyomi;
+        });
+        return clock;
+    }
+    /**
+     * "05:00", or "00:25 (3)" with the periods left in byo-yomi
+     * @param {number} player
+     */
+    format(player) {
+        let seconds = Math.ceil(this.getRemaining(player) / 1000);
+        let minutes = Math.floor(seconds / 60);
+        seconds %= 60;
+        let result = `${(minutes < 10) ? "0" : ""}${minutes}:${(seconds < 10) ? "0" : ""}${seconds}`;
+        return this.isInByoyomi(player) ? `${result} (${this.getPeriods(player)})` : result;
+    }
+}
+// time controls shown on the page
+Clock.CONTROLS = {
+    suddenDeath: { baseMs: 30 * 60000 },
+    fischer: { baseMs: 5 * 60000, incrementMs: 3000 },
+    byoyomi: { baseMs: 10 * 60000, periodMs: 30000, periods: 3 }
+};
+export { Clock };
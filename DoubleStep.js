@@ -0,0 +1,30 @@
+/**
+ *
+ * each player makes two moves per turn. The turn ends after one move if that move gives check
+ *   (so the opponent can answer it) or if the player has no legal second move.
+ * the very first move of the game is a single move, to make up for moving first.
+ * takebacks & repetitions are as in Casual: moves can be taken back, a forbidden repetition is refused.
+ */
+import { AbstractGame } from './AbstractGame.js';
+class DoubleStep extends AbstractGame {
+    // called right after a move is made, before the player changes
+    getNextPlayer() {
+        let last = this._history[this._ply - 1];
+        let before = this._history[this._ply - 2];
+        let other = super.getNextPlayer();
+        let firstStep = before !== undefined && before.player !== last.player;
+        if (firstStep && !last.check && this._hasLegalMove(this._currentPlayer)) {
+            return this._currentPlayer;
+        }
+        return other;
+    }
+    _allowsTakeback() {
+        return true;
+    }
+    _forbiddenRepetitionLoses() {
+        return false;
+    }
+}
+DoubleStep._variant = "DoubleStep";
+DoubleStep._alternating = false;
+export { DoubleStep };
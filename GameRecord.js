@@ -0,0 +1,284 @@
+/**
+ *
+ * saves & loads games as PGN-style text records:
+ *
+ *   [Variant "Official"]
+ *   [Event "Club night"]
+ *   [Date "2024.01.20"]
+ *   [Red "Alice"]
+ *   [Black "Bob"]
+ *   [Result "1-0"]
+ *   [Layout "official"]
+ *   [FEN "rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR w - - 0 1"]
+ *   [Format "ICCS"]
+ *
+ *   1. h2e2 {the central cannon} (1. b2e2 h9g7)
+ *   1. ... h9g7
+ *   2. h0g2 i9h9
+ *   1-0
+ *
+ * the moves can be in any notation Notation.parse() understands. Importing replays every move
+ *   through makeMove(), so a record with an illegal move is rejected. When the moves don't end the game,
+ *   a decisive Result tag ends it by resignation and "1/2-1/2" by agreement (two player games only).
+ * annotations (see Annotations.js) follow the move they belong to: {comments} and (variations), a
+ *   variation being written in place of the move before it. Variations inside variations are skipped.
+ */
+import { Notation } from './Notation.js';
+import { Variants } from './Variants.js';
+import { Annotations } from './Annotations.js';
+class GameRecord {
+    /**
+     * writes the moves played so far (not the ones that could be redone) into a record
+     * @param {AbstractGame} game
+     * @param {*} tags extra tag pairs, e.g. {Event: "Club night", Red: "Alice"}
+     * @param {string} style notation of the moves, one of Notation.STYLES. ICCS by default
+     * @param {Annotations} annotations comments & variations to write with the moves (optional)
+     * @returns the record text
+     */
+    static exportRecord(game, tags = {}, style = "iccs", annotations = null) {
+        let defaults = {
+            Variant: game.getVariant(),
+            Event: "?",
+            Date: GameRecord._today(),
+            Red: "?",
+            Black: "?"
+        };
+        if (game.getLayoutName() !== "") {
+            defaults.Layout = game.getLayoutName();
+        }
+        let allTags = Object.assign(defaults, tags, {
+            Result: GameRecord.resultOf(game),
+            FEN: game.getStartFEN(),
+            Format: GameRecord._formats[style]
+        });
+        let result = "";
+        for (let key of Object.keys(allTags)) {
+            let value = String(allTags[key]).replace(/\\/g, "\\\\").replace(/"/g, "\\\"");
+            result += `[${key} "${value}"]\n`;
+        }
+        result += "\n";
+        let moves = Notation.formatHistory(game, style).slice(0, game.getPly());
+        // comment of the ply, then the variations replacing its move
+        let notes = (ply) => {
+            if (!annotations) {
+                return [];
+            }
+            let items = (annotations.getComment(ply) !== "") ? [`{${annotations.getComment(ply)}}`] : [];
+            if (ply > 0) {
+                for (let line of annotations.getVariations(ply - 1)) {
+                    let copy = game.copyAt(ply - 1);
+                    let players = GameRecord._movers(game.copyAt(ply - 1), line);
+                    let text = GameRecord._moveLines(Notation.formatLine(copy, line, style), players, copy.toFEN(), () => []);
+                    items.push(`(${text.join(" ")})`);
+                }
+            }
+            return items;
+        };
+        let players = GameRecord._movers(game.copyAt(0), game.getHistory().slice(0, game.getPly()));
+        for (let line of GameRecord._moveLines(moves, players, allTags.FEN, notes)) {
+            result += line + "\n";
+        }
+        result += allTags.Result + "\n";
+        return result;
+    }
+    /**
+     * numbers the moves, one line per turn of red & black ("1. h2e2 h9g7") and starting a new line after notes.
+     *   A turn can have more than one move of a player (see DoubleStep.js)
+     * @param {string[]} moves
+     * @param {number[]} players the player making each move
+     * @param {string} fen of the position before the first move, for the move number
+     * @param {function} notes (ply) => texts written after the move of the ply, & before the moves for ply 0
+     * @returns array of lines
+     */
+    static _moveLines(moves, players, fen, notes) {
+        let fullmove = parseInt(fen.split(" ")[5]);
+        let lines = (notes(0).length > 0) ? [notes(0).join(" ")] : [];
+        let line = "";
+        for (let i = 0; i < moves.length; i++) {
+            let redTurn = players[i] === 1 && (i === 0 || players[i - 1] === 2);
+            if (redTurn && i > 0) {
+                fullmove++; // black's turn is over
+            }
+            if (redTurn || line === "") {
+                if (line !== "") {
+                    lines.push(line);
+                }
+                line = `${fullmove}.` + ((players[i] === 2) ? " ..." : "");
+            }
+            line += " " + moves[i];
+            let after = notes(i + 1);
+            if (after.length > 0) {
+                lines.push(`${line} ${after.join(" ")}`);
+                line = "";
+            }
+        }
+        if (line !== "") {
+            lines.push(line);
+        }
+        return lines;
+    }
+    // the player making each of the moves ("03B03E" format), played from the game's position. The game is changed
+    static _movers(game, moves) {
+        return moves.map((move) => {
+            let player = game.getCurrPlayer();
+            game.makeMove(move);
+            return player;
+        });
+    }
+    /**
+     * reads a record and replays it
+     * @param {string} text
+     * @returns {game, tags, annotations}
+     */
+    static importRecord(text) {
+        let tags = {};
+        let moveText = "";
+        for (let line of text.split(/\r?\n/)) {
+            let trimmed = line.trim();
+            let match = /^\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]$/.exec(trimmed);
+            if (match) {
+                tags[match[1]] = match[2].replace(/\\(.)/g, "$1");
+            }
+            else if (trimmed.startsWith("[")) {
+                throw new Error(`Malformed tag pair: ${trimmed}`);
+            }
+            else {
+                moveText += " " + trimmed;
+            }
+        }
+        let variant = tags.Variant || "Official";
+        if (!Object.prototype.hasOwnProperty.call(Variants, variant)) {
+            throw new Error(`Unknown variant: ${variant}`);
+        }
+        // the FEN is always written, the Layout tag is only for people reading the record
+        let game = Variants[variant].fromFEN(tags.FEN || GameRecord.START_FEN);
+        if (tags.Layout) {
+            game.setLayoutName(tags.Layout);
+        }
+        let annotations = new Annotations();
+        for (let item of GameRecord._tokens(moveText)) {
+            if (item.comment !== undefined) {
+                let before = annotations.getComment(game.getPly());
+                annotations.setComment(game.getPly(), (before === "") ? item.comment : `${before} ${item.comment}`);
+                continue;
+            }
+            if (item.variation !== undefined) {
+                let line = GameRecord._tokens(item.variation).map(GameRecord._moveOf).filter((move) => move !== "");
+                try {
+                    annotations.addVariation(game, game.getPly() - 1, line);
+                }
+                catch (e) {
+                    throw new Error(`The variation after move ${game.getPly()} is not accepted: ${e.message}`);
+                }
+                continue;
+            }
+            let token = GameRecord._moveOf(item);
+            if (token === "") {
+                continue;
+            }
+            let notation;
+            try {
+                notation = game.toNotation(Notation.parse(token, game));
+            }
+            catch (e) {
+                throw new Error(`Move ${game.getPly() + 1} (${token}) is not understood: ${e.message}`);
+            }
+            if (!game.makeMove(notation).ok) {
+                throw new Error(`Move ${game.getPly() + 1} (${token}) is not accepted: ${game.getLastRejection().message}`);
+            }
+        }
+        if (!game.isGameOver() && game.getNumPlayers() === 2) {
+            if (tags.Result === "1-0" || tags.Result === "0-1") {
+                game.resign((tags.Result === "1-0") ? 2 : 1);
+            }
+            else if (tags.Result === "1/2-1/2") {
+                game.agreeDraw();
+            }
+        }
+        return { game: game, tags: tags, annotations: annotations };
+    }
+    /**
+     * splits move text into words, {comment: text} & {variation: text} (nested variations are kept in the text)
+     * @param {string} text
+     */
+    static _tokens(text) {
+        let tokens = [];
+        let i = 0;
+        while (i < text.length) {
+            let ch = text.charAt(i);
+            if (/\s/.test(ch)) {
+                i++;
+            }
+            else if (ch === "{") {
+                let end = text.indexOf("}", i);
+                if (end === -1) {
+                    throw new Error("A comment is not closed with }");
+                }
+                tokens.push({ comment: text.substring(i + 1, end).trim() });
+                i = end + 1;
+            }
+            else if (ch === "(") {
+                let depth = 0;
+                let end = i;
+                for (; end < text.length; end++) {
+                    let curr = text.charAt(end);
+                    if (curr === "{") {
+                        end = text.indexOf("}", end); // brackets in comments don't count
+                        if (end === -1) {
+                            break;
+                        }
+                    }
+                    else if (curr === "(") {
+                        depth++;
+                    }
+                    else if (curr === ")" && --depth === 0) {
+                        break;
+                    }
+                }
+                if (end === -1 || end >= text.length) {
+                    throw new Error("A variation is not closed with )");
+                }
+                tokens.push({ variation: text.substring(i + 1, end) });
+                i = end + 1;
+            }
+            else if (ch === "}" || ch === ")") {
+                throw new Error(`Unexpected "${ch}" in the moves`);
+            }
+            else {
+                let word = /^[^\s{}()]+/.exec(text.substring(i))[0];
+                tokens.push(word);
+                i += word.length;
+            }
+        }
+        return tokens;
+    }
+    // the move in a token, "" for comments, variations, move numbers ("1.", "12...", "1.h2e2") & results
+    static _moveOf(token) {
+        if (typeof token !== "string") {
+            return "";
+        }
+        let move = token.replace(/^\d+\.+/, "");
+        return (/^\.*$/.test(move) || GameRecord._results.indexOf(move) !== -1) ? "" : move;
+    }
+    // "1-0" if red won, "0-1" if black won, "1/2-1/2" for a draw, "*" if the game is not over
+    static resultOf(game) {
+        if (!game.isGameOver()) {
+            return "*";
+        }
+        if (game.getWinner() === 0) {
+            return "1/2-1/2";
+        }
+        return (game.getWinner() === 1) ? "1-0" : "0-1";
+    }
+    static _today() {
+        let date = new Date();
+        let month = date.getMonth() + 1;
+        let day = date.getDate();
+        return `${date.getFullYear()}.${(month < 10) ? "0" : ""}${month}.${(day < 10) ? "0" : ""}${day}`;
+    }
+}
+GameRecord.START_FEN = "rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR w - - 0 1";
+GameRecord._results = ["1-0", "0-1", "1/2-1/2", "*"];
+// notation style => Format tag
+GameRecord._formats = { internal: "Internal", wxf: "WXF", chinese: "Chinese", iccs: "ICCS" };
+export { GameRecord };
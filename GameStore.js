@@ -0,0 +1,191 @@
+/**
+ *
+ * keeps games in the browser's localStorage so they survive a page reload. Every game is one entry:
+ *   {id, variant, layout, fen, board, moves, ply, result, end, clock, settings, started, updated}
+ *   fen is the starting position of two player games. Other games start from board (the layout array)
+ *   with player 1 to move. moves is the full history ("03B03E" format, including the moves that could
+ *   be redone) & ply the number of them on the board. result is "1-0", "0-1", "1/2-1/2" or "*" (see
+ *   GameRecord.resultOf()), end the {reason, winner} of a finished game. settings are whatever the page
+ *   wants back with the game, e.g. the time control & the computer's level.
+ * the entries are kept under one key as a JSON array, the most recently updated first. The oldest ones
+ *   are dropped after GameStore.LIMIT.
+ * track() saves a game after each move, takeback & its end, through the game's events.
+ */
+import { Variants } from './Variants.js';
+import { Clock } from './Clock.js';
+import { GameRecord } from './GameRecord.js';
+class GameStore {
+    /**
+     * @param {*} storage with getItem, setItem & removeItem. The browser's localStorage by default
+     * @param {string} key the entries are saved under
+     * @param {function} now the time source for the started & updated times. Date.now by default
+     */
+    constructor(storage = globalThis.localStorage, key = GameStore.KEY, now = () => Date.now()) {
+        if (!storage) {
+            throw new Error("Games cannot be saved: there is no storage");
+        }
+        this._storage = storage;
+        this._key = key;
+        this._now = now;
+        this._tracked = null; // {game, id, settings, listener}, see track()
+    }
+    // every entry, the most recently updated first
+    list() {
+        let text = this._storage.getItem(this._key);
+        if (text === null) {
+            return [];
+        }
+        try {
+            let entries = JSON.parse(text);
+            return Array.isArray(entries) ? entries : [];
+        }
+        catch (e) {
+            return []; // written by something else, it is replaced on the next save
+        }
+    }
+    // the games that can be carried on
+    getUnfinished() {
+        return this.list().filter((entry) => entry.result === "*");
+    }
+    // the entry with the id, null if there is none
+    get(id) {
+        return this.list().find((entry) => entry.id === id) || null;
+    }
+    /**
+     * writes the game into its entry, or a new one
+     * @param {AbstractGame} game
+     * @param {*} settings saved with the game as they are
+     * @param {string} id of the entry to replace. null for a new entry
+     * @returns the id of the entry
+     */
+    save(game, settings = {}, id = null) {
+        let entries = this.list();
+        let old = entries.find((entry) => entry.id === id);
+        let now = this._now();
+        let twoPlayers = game.getNumPlayers() === 2;
+        let entry = {
+            id: (id === null) ? GameStore._newId(now) : id,
+            variant: game.getVariant(),
+            layout: game.getLayoutName(),
+            fen: twoPlayers ? game.getStartFEN() : null,
+            board: twoPlayers ? null : game.getStartLayout(),
+            moves: game.getHistory(),
+            ply: game.getPly(),
+            result: GameRecord.resultOf(game),
+            end: game.isGameOver() ? { reason: game.getEndReason(), winner: game.getWinner() } : null,
+            clock: game.getClock() ? game.getClock().toJSON() : null,
+            settings: settings,
+            started: old ? old.started : now,
+            updated: now
+        };
+        entries = entries.filter((item) => item.id !== entry.id);
+        entries.unshift(entry);
+        this._storage.setItem(this._key, JSON.stringify(entries.slice(0, GameStore.LIMIT)));
+        return entry.id;
+    }
+    // false if there is no entry with the id
+    remove(id) {
+        let entries = this.list();
+        let kept = entries.filter((entry) => entry.id !== id);
+        if (kept.length === entries.length) {
+            return false;
+        }
+        this._storage.setItem(this._key, JSON.stringify(kept));
+        return true;
+    }
+    clear() {
+        this._storage.removeItem(this._key);
+    }
+    /**
+     * saves the game after every move, takeback & when it ends, until untrack() or the next track().
+     *   A game without moves is not saved until its first move
+     * @param {AbstractGame} game
+     * @param {function} settings returns the settings to save with the game each time
+     * @param {string} id of the entry to keep writing to, e.g. of a resumed game. null for a new entry
+     * @returns the id of the game's entry
+     */
+    track(game, settings = () => ({}), id = null) {
+        this.untrack();
+        let tracked = { game: game, id: (id === null) ? GameStore._newId(this._now()) : id, settings: settings };
+        tracked.listener = () => this.save(game, tracked.settings(), tracked.id);
+        for (let event of GameStore._events) {
+            game.on(event, tracked.listener);
+        }
+        this._tracked = tracked;
+        if (id !== null || game.getHistory().length > 0) {
+            tracked.listener();
+        }
+        return tracked.id;
+    }
+    // stops saving the tracked game. false if there was none
+    untrack() {
+        if (!this._tracked) {
+            return false;
+        }
+        for (let event of GameStore._events) {
+            this._tracked.game.off(event, this._tracked.listener);
+        }
+        this._tracked = null;
+        return true;
+    }
+    // saves the tracked game now, e.g. the time on its clock before the page is closed
+    flush() {
+        if (this._tracked && this._tracked.game.getHistory().length > 0) {
+            this._tracked.listener();
+        }
+    }
+    /**
+     * rebuilds the game of an entry, checking every move
+     * @param {*} entry one of list()
+     * @returns the game, at the ply & with the clock it was saved with
+     */
+    static restore(entry) {
+        if (!Object.prototype.hasOwnProperty.call(Variants, entry.variant)) {
+            throw new Error(`Unknown variant: ${entry.variant}`);
+        }
+        let variant = Variants[entry.variant];
+        let game = (entry.fen !== null) ? variant.fromFEN(entry.fen) : new variant(entry.board.map((row) => row.slice()));
+        game.setLayoutName(entry.layout);
+        entry.moves.forEach((notation, i) => {
+            if (!game.makeMove(notation).ok) {
+                throw new Error(`Move ${i + 1} (${notation}) of the saved game is not accepted: ${game.getLastRejection().message}`);
+            }
+        });
+        let clock = (entry.clock !== null) ? Clock.fromJSON(entry.clock) : null;
+        // resignations, agreed draws & timeouts can't be told from the moves. The game is ended before
+        //   going back to the saved ply: an official game can only be reviewed once it is over
+        if (entry.end !== null && !game.isGameOver()) {
+            GameStore._end(game, entry.end, clock);
+        }
+        if (entry.ply < entry.moves.length) {
+            game.goToPly(entry.ply);
+        }
+        game.setClock(clock);
+        return game;
+    }
+    // ends the game the way it ended when it was saved: {reason, winner}. A timeout needs the clock that
+    //   ran out; what can't be played again is ended by the resignation of the players who lost
+    static _end(game, end, clock) {
+        if (end.reason === "agreement") {
+            game.agreeDraw();
+        }
+        else if (end.reason === "timeout" && clock !== null) {
+            game.setClock(clock);
+            game.checkTime();
+        }
+        for (let player = 1; player <= game.getNumPlayers() && !game.isGameOver(); player++) {
+            if (player !== end.winner) {
+                game.resign(player);
+            }
+        }
+    }
+    // unique enough for one browser: the time & a random part
+    static _newId(now) {
+        return `${now.toString(36)}-${Math.random().toString(36).substring(2, 8)}`;
+    }
+}
+GameStore.KEY = "chineseChess.games";
+GameStore.LIMIT = 50;
+// the events after which a tracked game is saved
+GameStore._events = ["move", "undo", "gameOver"];
+export { GameStore };
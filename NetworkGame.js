@@ -0,0 +1,260 @@
+/**
+ *
+ * plays a two player game against another browser through the relay (server/relay.js). Both ends keep
+ *   their own copy of the game and check every move of the other side with validateMove() before
+ *   making it, so a bad or out of order message can't put an illegal position on the board.
+ * when the two copies disagree (a lost message, a reconnect...) the players swap "sync" messages with
+ *   the starting FEN & the full move list. The longer history wins if the other is the start of it;
+ *   otherwise red's copy is kept. Dropped connections are retried a few times, in the same seat.
+ *
+ * the page is told about everything through onUpdate(event, detail). events:
+ *   "joined" {seat, peers}, "peerJoined", "peerLeft", "move" {move}, "sync", "drawOffer",
+ *   "drawDeclined", "gameOver", "disconnected", "error" {message}
+ */
+import { Variants } from './Variants.js';
+class NetworkGame {
+    /**
+     * @param {AbstractGame} game a two player game. It can be replaced by the other side's copy; use getGame()
+     * @param {string} url of the relay, e.g. "ws://localhost:8080"
+     * @param {string} room code both players enter
+     * @param {function} onUpdate called with (event, detail)
+     * @param {*} WebSocketImpl the WebSocket class. The browser's by default
+     */
+    constructor(game, url, room, onUpdate, WebSocketImpl = globalThis.WebSocket) {
+        if (game.getNumPlayers() !== 2) {
+            throw new Error("Only two player games can be played over the network");
+        }
+        this._game = game;
+        this._url = url;
+        this._room = room;
+        this._onUpdate = onUpdate;
+        this._WebSocket = WebSocketImpl;
+        this._socket = null;
+        this._seat = 0; // 1 red, 2 black, 0 before joining
+        this._retries = 0;
+        this._closing = false;
+        this._drawOffered = false; // the other player offered a draw
+    }
+    // opens the connection & joins the room
+    connect() {
+        this._closing = false;
+        this._socket = new this._WebSocket(this._url);
+        this._socket.onopen = () => this._send({ type: "join", room: this._room, seat: this._seat });
+        this._socket.onmessage = (evt) => this._receive(JSON.parse(evt.data));
+        this._socket.onclose = () => {
+            this._socket = null;
+            if (this._closing) {
+                return;
+            }
+            this._onUpdate("disconnected", {});
+            if (this._retries < NetworkGame.MAX_RETRIES) {
+                setTimeout(() => this.connect(), NetworkGame.RETRY_MS * Math.pow(2, this._retries));
+                this._retries++;
+            }
+        };
+    }
+    // leaves the room for good
+    close() {
+        this._closing = true;
+        if (this._socket) {
+            this._socket.close();
+        }
+    }
+    getGame() {
+        return this._game;
+    }
+    getSeat() {
+        return this._seat;
+    }
+    isMyTurn() {
+        return this._seat !== 0 && this._game.getCurrPlayer() === this._seat && !this._game.isGameOver();
+    }
+    /**
+     * plays a move of this player & sends it. Same result as AbstractGame.makeMove(); refused with
+     *   the code "notYourTurn" when it is not this player's turn
+     * @param {string} moveStr "03B03E" format
+     */
+    makeMove(moveStr) {
+        if (!this.isMyTurn()) {
+            return this._game.refuseMove(moveStr, "notYourTurn");
+        }
+        let ply = this._game.getPly();
+        let result = this._game.makeMove(moveStr);
+        if (result.ok) {
+            this._drawOffered = false;
+            this._send({ type: "move", move: this._game.getHistory()[ply], ply: ply });
+        }
+        return result;
+    }
+    // gives up the game. false if it is already over
+    resign() {
+        if (this._seat === 0 || !this._game.resign(this._seat)) {
+            return false;
+        }
+        this._send({ type: "resign" });
+        return true;
+    }
+    offerDraw() {
+        if (!this._game.isGameOver()) {
+            this._send({ type: "drawOffer" });
+        }
+    }
+    // agrees to the draw the other player offered. false if there was no offer
+    acceptDraw() {
+        if (!this._drawOffered || !this._game.agreeDraw()) {
+            return false;
+        }
+        this._drawOffered = false;
+        this._send({ type: "drawAccept" });
+        return true;
+    }
+    declineDraw() {
+        if (this._drawOffered) {
+            this._drawOffered = false;
+            this._send({ type: "drawDecline" });
+        }
+    }
+    _send(message) {
+        if (this._socket && this._socket.readyState === 1) {
+            this._socket.send(JSON.stringify(message));
+        }
+    }
+    _receive(message) {
+        switch (message.type) {
+            case "joined":
+                this._seat = message.seat;
+                this._retries = 0;
+                if (message.peers.length > 0) {
+                    this._sendSync();
+                }
+                this._onUpdate("joined", { seat: message.seat, peers: message.peers });
+                break;
+            case "peerJoined":
+                this._sendSync();
+                this._onUpdate("peerJoined", {});
+                break;
+            case "peerLeft":
+                this._onUpdate("peerLeft", {});
+                break;
+            case "move":
+                this._receiveMove(message);
+                break;
+            case "syncRequest":
+                this._sendSync();
+                break;
+            case "sync":
+                this._receiveSync(message);
+                break;
+            case "resign":
+                if (this._game.resign(this._other())) {
+                    this._onUpdate("gameOver", {});
+                }
+                break;
+            case "drawOffer":
+                this._drawOffered = true;
+                this._onUpdate("drawOffer", {});
+                break;
+            case "drawAccept":
+                if (this._game.agreeDraw()) {
+                    this._onUpdate("gameOver", {});
+                }
+                break;
+            case "drawDecline":
+                this._onUpdate("drawDeclined", {});
+                break;
+            case "error":
+                this._onUpdate("error", { message: message.message });
+                break;
+        }
+    }
+    // the other player's move, only if it comes in order & is legal for them
+    _receiveMove(message) {
+        let game = this._game;
+        if (message.ply !== game.getPly() || game.getCurrPlayer() !== this._other() || game.isGameOver()) {
+            this._send({ type: "syncRequest" });
+            return;
+        }
+        let move;
+        try {
+            move = game.interpretMove(message.move);
+        }
+        catch (e) {
+            move = null;
+        }
+        if (!move || !game.validateMove(move) || !game.makeMove(message.move).ok) {
+            this._onUpdate("error", { message: `The other player's move ${message.move} is not legal` });
+            this._send({ type: "syncRequest" });
+            return;
+        }
+        this._drawOffered = false;
+        this._onUpdate("move", { move: message.move });
+    }
+    _sendSync() {
+        let game = this._game;
+        let message = { type: "sync", variant: game.getVariant(), fen: game.getStartFEN(),
+            moves: game.getHistory().slice(0, game.getPly()), end: null };
+        // resignations & agreed draws can't be told from the moves
+        if (game.getEndReason() === "resignation" || game.getEndReason() === "agreement") {
+            message.end = { reason: game.getEndReason(), winner: game.getWinner() };
+        }
+        this._send(message);
+    }
+    _receiveSync(message) {
+        let ours = this._game.getHistory().slice(0, this._game.getPly());
+        let sameStart = message.variant === this._game.getVariant() && message.fen === this._game.getStartFEN();
+        let theirsExtends = sameStart && ours.every((move, i) => message.moves[i] === move);
+        let oursExtends = sameStart && message.moves.every((move, i) => ours[i] === move);
+        if (oursExtends && (ours.length > message.moves.length || (message.end === null && this._endedByPlayers()))) {
+            this._sendSync(); // they are behind
+            return;
+        }
+        if (theirsExtends && ours.length === message.moves.length && (message.end === null || this._game.isGameOver())) {
+            return; // nothing new
+        }
+        if (!theirsExtends && this._seat === 1) {
+            this._sendSync(); // the copies differ: red's is kept
+            return;
+        }
+        let game;
+        try {
+            game = NetworkGame._replay(message);
+        }
+        catch (e) {
+            this._onUpdate("error", { message: `Unable to sync with the other player: ${e.message}` });
+            return;
+        }
+        game.setClock(this._game.getClock());
+        this._game = game;
+        this._onUpdate("sync", {});
+    }
+    // true if the game ended by resignation or agreement
+    _endedByPlayers() {
+        return this._game.getEndReason() === "resignation" || this._game.getEndReason() === "agreement";
+    }
+    // rebuilds a game from a sync message, checking every move
+    static _replay(message) {
+        if (!Object.prototype.hasOwnProperty.call(Variants, message.variant)) {
+            throw new Error(`Unknown variant: ${message.variant}`);
+        }
+        let game = Variants[message.variant].fromFEN(message.fen);
+        for (let notation of message.moves) {
+            let move = game.interpretMove(notation);
+            if (!game.validateMove(move) || !game.makeMove(notation).ok) {
+                throw new Error(`Move ${notation} is not legal`);
+            }
+        }
+        if (message.end && message.end.reason === "resignation") {
+            game.resign((message.end.winner === 1) ? 2 : 1);
+        }
+        else if (message.end && message.end.reason === "agreement") {
+            game.agreeDraw();
+        }
+        return game;
+    }
+    _other() {
+        return (this._seat === 1) ? 2 : 1;
+    }
+}
+NetworkGame.MAX_RETRIES = 5;
+NetworkGame.RETRY_MS = 1000;
+export { NetworkGame };
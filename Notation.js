@@ -0,0 +1,281 @@
+/**
+ *
+ * converts moves between the project's own "03B03E" notation and the standard ones:
+ *   internal: "03B03E" (row 01-10 from red's side, then column A-I)
+ *   wxf:      "C2=5", "H8+7", "+R-1" (tandem pieces: +front, =middle, -rear, 1-5 for many pawns)
+ *   chinese:  "炮二平五", "马８进７", "前车退一"
+ *   iccs:     "h2e2" (column a-i, then rank 0-9 from red's side)
+ * parse() turns any of them into the {sr, sc, er, ec} move object used by AbstractGame.
+ * format() turns a move back into any of them. It needs the board before the move is made.
+ *
+ * WXF & chinese files are counted from each player's right: red file = 9 - column,
+ *   black file = column + 1. "+" (进) is forward and "-" (退) is backward for the moving player.
+ */
+class Notation {
+    /**
+     * finds out which notation a string is written in
+     * @param {string} str
+     * @returns one of Notation.STYLES
+     */
+    static detectStyle(str) {
+        let trimmed = str.trim();
+        if (/^\d\d[A-I]\d\d[A-I]$/i.test(trimmed)) {
+            return "internal";
+        }
+        if (/^[A-I]\d-?[A-I]\d$/i.test(trimmed)) {
+            return "iccs";
+        }
+        if (/[一-鿿]/.test(trimmed)) {
+            return "chinese";
+        }
+        return "wxf";
+    }
+    /**
+     * parses a move in any supported notation for the current player of the game.
+     * wxf & chinese moves are matched against the legal moves, which resolves tandem pieces.
+     * internal & iccs moves are only checked for bounds; makeMove() still validates them.
+     * @param {string} str
+     * @param {AbstractGame} game
+     * @returns the move object {sr, sc, er, ec}
+     */
+    static parse(str, game) {
+        if (typeof str !== "string" || str.trim() === "") {
+            throw new Error(`Unable to understand notation: ${str}`);
+        }
+        let style = Notation.detectStyle(str);
+        if (style === "internal") {
+            return game.interpretMove(str.trim());
+        }
+        if (style === "iccs") {
+            let match = /^([A-I])(\d)-?([A-I])(\d)$/i.exec(str.trim());
+            return {
+                sr: 9 - parseInt(match[2]), sc: match[1].toUpperCase().charCodeAt(0) - 65,
+                er: 9 - parseInt(match[4]), ec: match[3].toUpperCase().charCodeAt(0) - 65
+            };
+        }
+        let wxf = (style === "chinese") ? Notation._chineseToWXF(str.trim()) : Notation._normalizeWXF(str.trim());
+        let layout = game.getLayout();
+        let matches = [];
+        for (let notation of game.giveAllValidMoves()) {
+            let move = game.interpretMove(notation);
+            if (Notation.format(move, layout, "wxf") === wxf) {
+                matches.push(move);
+            }
+        }
+        if (matches.length === 0) {
+            throw new Error(`No legal move matches ${str}`);
+        }
+        if (matches.length > 1) {
+            throw new Error(`Ambiguous notation: ${str}`);
+        }
+        return matches[0];
+    }
+    /**
+     * writes a move in the given notation.
+     * @param {*} move {sr, sc, er, ec}
+     * @param {number[][]} layout the board before the move
+     * @param {string} style one of Notation.STYLES
+     * @returns the notation string
+     */
+    static format(move, layout, style) {
+        if (style === "internal") {
+            return Notation._rowString(move.sr) + String.fromCharCode(65 + move.sc) +
+                Notation._rowString(move.er) + String.fromCharCode(65 + move.ec);
+        }
+        if (style === "iccs") {
+            return String.fromCharCode(97 + move.sc) + (9 - move.sr) + String.fromCharCode(97 + move.ec) + (9 - move.er);
+        }
+        if (style === "wxf") {
+            return Notation._formatWXF(move, layout);
+        }
+        if (style === "chinese") {
+            let team = Math.floor(layout[move.sr][move.sc] / 10);
+            return Notation._wxfToChinese(Notation._formatWXF(move, layout), team);
+        }
+        throw new Error(`Unknown notation style: ${style}`);
+    }
+    /**
+     * writes every move in the game's history (including the ones that can be redone)
+     * @param {AbstractGame} game
+     * @param {string} style one of Notation.STYLES
+     * @returns array of notation strings
+     */
+    static formatHistory(game, style) {
+        if (style === "internal") {
+            return game.getHistory(); // already internal, & the only style that fits other board sizes
+        }
+        let layout = game.getStartLayout();
+        let result = [];
+        for (let notation of game.getHistory()) {
+            let move = game.interpretMove(notation);
+            result.push(Notation.format(move, layout, style));
+            layout[move.er][move.ec] = layout[move.sr][move.sc];
+            layout[move.sr][move.sc] = 0;
+        }
+        return result;
+    }
+    /**
+     * writes moves that would follow the game's current position, e.g. a variation. The game is not changed
+     * @param {AbstractGame} game
+     * @param {string[]} moves "03B03E" format, legal from the current position
+     * @param {string} style one of Notation.STYLES
+     * @returns array of notation strings
+     */
+    static formatLine(game, moves, style) {
+        if (style === "internal") {
+            return moves.slice();
+        }
+        let copy = game.copyAt();
+        return moves.map((notation) => {
+            let move = copy.interpretMove(notation);
+            let result = Notation.format(move, copy.getLayout(), style);
+            copy.makeMove(notation);
+            return result;
+        });
+    }
+    // "03" for array row 7
+    static _rowString(r) {
+        let row = 10 - r;
+        return ((row < 10) ? "0" : "") + row;
+    }
+    // file number (1-9) of the column for the team
+    static _file(team, c) {
+        return (team === 1) ? 9 - c : c + 1;
+    }
+    // canonical wxf: marker (if any) + piece letter (or file) + operator + number
+    static _formatWXF(move, layout) {
+        let piece = layout[move.sr][move.sc];
+        let team = Math.floor(piece / 10);
+        let type = piece % 10;
+        let letter = Notation._wxfLetters.charAt(type);
+        let forward = (team === 1) ? -1 : 1; // row direction of "forward" for the team
+        let op = (move.er === move.sr) ? "=" : (((move.er - move.sr) * forward > 0) ? "+" : "-");
+        let num;
+        if ((type === 1 || type === 3 || type === 6 || type === 7) && op !== "=") {
+            num = Math.abs(move.er - move.sr); // straight movers count steps
+        }
+        else {
+            num = Notation._file(team, move.ec);
+        }
+        let prefix = letter + Notation._file(team, move.sc);
+        if (type !== 4 && type !== 5) { // guards & elephants are told apart by their moves
+            prefix = Notation._tandemPrefix(layout, move.sr, move.sc, letter) || prefix;
+        }
+        return prefix + op + num;
+    }
+    // "+R", "-P", "=P", "2P"... when other pieces of the same kind share the file. "" otherwise
+    static _tandemPrefix(layout, r, c, letter) {
+        let piece = layout[r][c];
+        let team = Math.floor(piece / 10);
+        // pieces of the same kind on each column, front (closer to the enemy) first
+        let columns = [];
+        for (let j = 0; j < 9; j++) {
+            let column = [];
+            for (let i = 0; i < 10; i++) {
+                if (layout[i][j] === piece) {
+                    column.push(i);
+                }
+            }
+            if (team !== 1) {
+                column.reverse();
+            }
+            columns.push(column);
+        }
+        if (columns[c].length < 2) {
+            return "";
+        }
+        // columns with tandem pieces, right to left for the team
+        let tandem = [];
+        for (let j = 0; j < 9; j++) {
+            if (columns[j].length >= 2) {
+                tandem.push(j);
+            }
+        }
+        tandem.sort((a, b) => Notation._file(team, a) - Notation._file(team, b));
+        if (tandem.length === 1 && columns[c].length <= 3) {
+            let index = columns[c].indexOf(r);
+            let markers = (columns[c].length === 2) ? "+-" : "+=-";
+            return markers.charAt(index) + letter;
+        }
+        // many pawns: count front to back, then right to left
+        let count = 0;
+        for (let j of tandem) {
+            for (let i of columns[j]) {
+                count++;
+                if (i === r && j === c) {
+                    return count + letter;
+                }
+            }
+        }
+        return "";
+    }
+    // makes user written wxf comparable with _formatWXF
+    static _normalizeWXF(str) {
+        let result = str.toUpperCase().replace(/\s/g, "").replace(/\./g, "=").replace(/N/g, "H").replace(/B/g, "E");
+        // "C+=5" => "+C=5"
+        let match = /^([A-Z])([+\-=])([+\-=]\d)$/.exec(result);
+        if (match) {
+            result = match[2] + match[1] + match[3];
+        }
+        return result;
+    }
+    static _chineseToWXF(str) {
+        let result = "";
+        for (let ch of str.replace(/\s/g, "")) {
+            if (Notation._chinesePieces[ch]) {
+                result += Notation._chinesePieces[ch];
+            }
+            else if (Notation._chineseOps[ch]) {
+                result += Notation._chineseOps[ch];
+            }
+            else if (Notation._chineseNumbers.indexOf(ch) !== -1) {
+                result += Notation._chineseNumbers.indexOf(ch) % 9 + 1;
+            }
+            else if (ch >= "1" && ch <= "9") {
+                result += ch;
+            }
+            else {
+                throw new Error(`Unable to understand notation: ${str}`);
+            }
+        }
+        return result;
+    }
+    static _wxfToChinese(wxf, team) {
+        let names = (team === 1) ? Notation._redNames : Notation._blackNames;
+        let numbers = (team === 1) ? Notation._chineseNumbers.substring(0, 9) : Notation._chineseNumbers.substring(9);
+        let result = "";
+        for (let i = 0; i < wxf.length; i++) {
+            let ch = wxf.charAt(i);
+            let type = Notation._wxfLetters.indexOf(ch);
+            if (type > 0) {
+                result += names.charAt(type);
+            }
+            else if (ch === "+" || ch === "-" || ch === "=") {
+                // before the piece it is front/middle/rear, after it is the operator
+                result += (i === 0) ? "前后中".charAt("+-=".indexOf(ch)) : "进退平".charAt("+-=".indexOf(ch));
+            }
+            else if (i === 0) {
+                result += Notation._chineseNumbers.charAt(parseInt(ch) - 1); // pawn order, always 一二三
+            }
+            else {
+                result += numbers.charAt(parseInt(ch) - 1);
+            }
+        }
+        return result;
+    }
+}
+Notation.STYLES = ["internal", "wxf", "chinese", "iccs"];
+// piece type => wxf letter, same order as AbstractGame._types
+Notation._wxfLetters = "-RHCAEPK";
+Notation._redNames = "-车马炮仕相兵帅";
+Notation._blackNames = "-车马炮士象卒将";
+// red numbers, then black numbers (full width)
+Notation._chineseNumbers = "一二三四五六七八九１２３４５６７８９";
+Notation._chinesePieces = {
+    "车": "R", "車": "R", "俥": "R", "马": "H", "馬": "H", "傌": "H", "炮": "C", "砲": "C", "包": "C",
+    "仕": "A", "士": "A", "相": "E", "象": "E", "兵": "P", "卒": "P", "帅": "K", "帥": "K", "将": "K", "將": "K"
+};
+Notation._chineseOps = {
+    "进": "+", "進": "+", "退": "-", "平": "=", "前": "+", "后": "-", "後": "-", "中": "="
+};
+export { Notation };
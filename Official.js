@@ -0,0 +1,44 @@
+/**
+ *
+ * tournament rules. Same moves as the base game, a forbidden repetition (perpetual check or chase)
+ *   loses the game, and there are no takebacks while the game is on. Moves can be replayed &
+ *   reviewed once it is over: the game keeps its result at every position, so no other move can be played.
+ */
+import { AbstractGame } from './AbstractGame.js';
+class Official extends AbstractGame {
+    constructor(layout) {
+        super(layout);
+        this._final = null; // {winner, endReason} once the game is over
+    }
+    _allowsTakeback() {
+        return this.isGameOver();
+    }
+    _forbiddenRepetitionLoses() {
+        return true;
+    }
+    _forward() {
+        this._keepResult();
+        let entry = super._forward();
+        this._keepResult();
+        return entry;
+    }
+    _backward() {
+        this._keepResult();
+        let entry = super._backward();
+        this._keepResult();
+        return entry;
+    }
+    // notes the result the first time the game is over, then puts it back after each step through the moves
+    _keepResult() {
+        if (this._final === null) {
+            if (this.isGameOver()) {
+                this._final = this._saveStatus();
+            }
+        }
+        else {
+            this._restoreStatus(this._final);
+        }
+    }
+}
+Official._variant = "Official";
+export { Official };
@@ -0,0 +1,168 @@
+/**
+ *
+ * sets up a custom position on the two player board: pieces are placed & removed one square at a time,
+ *   then the position is checked before a game can start from it. A position is legal when:
+ *   - every piece code is known and each side has one general, inside its palace (validateLayout)
+ *   - no side has more pieces of a kind than a full set (2 of each, 5 pawns)
+ *   - guards, elephants & pawns stand on squares they can reach from the start
+ *   - the generals don't face each other, and the side that just moved is not in check
+ *
+ * squares are written like the first half of a move, e.g. "03B". Pieces use the layout codes: team * 10 +
+ *   type, type being the index in "-RNCGEPK" (17 is the red general, 26 a black pawn), 0 for none.
+ */
+import { AbstractGame } from './AbstractGame.js';
+import { Casual } from './Casual.js';
+class PositionEditor {
+    /**
+     * @param {*} variant the class of the games it creates (two player only). Casual by default
+     * @param {number[][]} layout the position to start from. An empty board by default
+     * @param {number} player side to move
+     */
+    constructor(variant = Casual, layout = null, player = 1) {
+        if (variant._numPlayers !== 2) {
+            throw new Error("Positions can only be set up for two player games");
+        }
+        this._variant = variant;
+        this._rows = variant._rows;
+        this._cols = variant._cols;
+        this._layout = [];
+        for (let i = 0; i < this._rows; i++) {
+            this._layout.push(layout ? layout[i].slice() : new Array(this._cols).fill(0));
+        }
+        this._player = player;
+        // scratch game for the geometry of the board. Never played
+        this._board = new variant(this._layout);
+    }
+    /**
+     * an editor holding the current position of the game
+     * @param {AbstractGame} game a two player game
+     */
+    static fromGame(game) {
+        return new PositionEditor(game.constructor, game.getLayout(), game.getCurrPlayer());
+    }
+    getLayout() {
+        return this._layout.map((row) => row.slice());
+    }
+    getSideToMove() {
+        return this._player;
+    }
+    setSideToMove(player) {
+        if (player !== 1 && player !== 2) {
+            throw new Error(`Unknown player: ${player}`);
+        }
+        this._player = player;
+    }
+    /**
+     * puts the piece on the square, replacing what was there
+     * @param {string} pos e.g. "03B"
+     * @param {number} piece layout code, e.g. 17. 0 empties the square
+     */
+    place(pos, piece) {
+        let square = this._board._interpretPos(pos);
+        let team = Math.floor(piece / 10);
+        let type = piece % 10;
+        if (!Number.isInteger(piece) || (piece !== 0 && (team < 1 || team > 2 || type < 1 || type > 7))) {
+            throw new Error(`Unknown piece code ${piece}`);
+        }
+        this._layout[square.r][square.c] = piece;
+    }
+    remove(pos) {
+        this.place(pos, 0);
+    }
+    // the piece on the square, 0 if none
+    pieceAt(pos) {
+        let square = this._board._interpretPos(pos);
+        return this._layout[square.r][square.c];
+    }
+    // removes every piece
+    clear() {
+        for (let row of this._layout) {
+            row.fill(0);
+        }
+    }
+    /**
+     * a game showing the position as it is, e.g. for the board view. It is not checked & must not be played
+     */
+    preview() {
+        let game = new this._variant(this.getLayout());
+        game._currentPlayer = this._player;
+        return game;
+    }
+    /**
+     * everything that makes the position illegal
+     * @returns array of messages, empty if the position can be played
+     */
+    validate() {
+        try {
+            this._variant.validateLayout(this._layout);
+        }
+        catch (e) {
+            return [e.message]; // the checks below need the generals
+        }
+        let problems = [];
+        let counts = [null, [0, 0, 0, 0, 0, 0, 0, 0], [0, 0, 0, 0, 0, 0, 0, 0]];
+        for (let i = 0; i < this._rows; i++) {
+            for (let j = 0; j < this._cols; j++) {
+                let piece = this._layout[i][j];
+                if (piece === 0) {
+                    continue;
+                }
+                counts[Math.floor(piece / 10)][piece % 10]++;
+                if (!this._reachable(piece, i, j)) {
+                    problems.push(`Piece ${piece} at ${this._board._posToString(i, j)} can never get to that square`);
+                }
+            }
+        }
+        for (let team = 1; team <= 2; team++) {
+            for (let type = 1; type <= 6; type++) {
+                if (counts[team][type] > PositionEditor.MAX_PIECES[type]) {
+                    problems.push(`Player ${team} has ${counts[team][type]} pieces of type ` +
+                        `${AbstractGame._types[type]}, more than ${PositionEditor.MAX_PIECES[type]}`);
+                }
+            }
+        }
+        let waiting = (this._player === 1) ? 2 : 1;
+        let board = new this._variant(this._layout); // the scratch game doesn't follow the edits
+        if (board._generalsFace()) {
+            problems.push("The generals face each other");
+        }
+        else if (board._isInCheck(waiting)) {
+            problems.push(`Player ${waiting} is in check but it is player ${this._player}'s turn`);
+        }
+        return problems;
+    }
+    // the position as a FEN string, whether it is legal or not
+    toFEN() {
+        return AbstractGame._layoutToFEN(this._layout, this._player, 0, 1);
+    }
+    /**
+     * starts a game of the variant from the position. Throws an error with the first problem if it is not legal
+     */
+    createGame() {
+        let problems = this.validate();
+        if (problems.length > 0) {
+            throw new Error(`The position is not legal: ${problems[0]}`);
+        }
+        return this._variant.fromFEN(this.toFEN());
+    }
+    // true if the piece can stand on the square in some game: guards on the palace points, elephants on
+    //   their seven points, pawns not behind their starting row and not between the files before crossing
+    _reachable(piece, r, c) {
+        let team = Math.floor(piece / 10);
+        let type = piece % 10;
+        let fromBack = (team === 1) ? this._rows - 1 - r : r; // rows from the team's back row
+        switch (type) {
+            case 4:
+                return this._board._inPalace(team, r, c) && (fromBack + c) % 2 === 1;
+            case 5:
+                return this._board._onOwnSide(team, r, c) && fromBack % 2 === 0 && c % 2 === 0 && (fromBack + c) % 4 === 2;
+            case 6:
+                return !this._board._onOwnSide(team, r, c) || (fromBack >= 3 && c % 2 === 0);
+            default:
+                return true;
+        }
+    }
+}
+// most pieces of each type (index as in AbstractGame._types) a side can have
+PositionEditor.MAX_PIECES = [0, 2, 2, 2, 2, 2, 5, 1];
+export { PositionEditor };
@@ -0,0 +1,134 @@
+/**
+ *
+ * "mate in N" training. The solver plays the side to move of the puzzle's position and only the moves
+ *   of the solution are accepted; after each correct one the other side's answer from the solution is
+ *   played right away. Wrong moves are not made, just counted.
+ * puzzles come from puzzles.json: [{name, fen, mateIn, solution}]. solution is the whole line in "03B03E"
+ *   format, the solver's moves & the answers in turn, ending with the mate: 2 * mateIn - 1 moves.
+ * the game is Official, so moves can't be taken back before the puzzle is over.
+ */
+import { Official } from './Official.js';
+class Puzzle {
+    /**
+     * @param {*} puzzle {name, fen, mateIn, solution}. Throws if the solution doesn't work (see check())
+     */
+    constructor(puzzle) {
+        Puzzle.check(puzzle);
+        this._puzzle = puzzle;
+        this._game = Official.fromFEN(puzzle.fen);
+        this._solver = this._game.getCurrPlayer();
+        this._mistakes = 0;
+        this._hints = 0;
+    }
+    /**
+     * the puzzles in puzzles.json next to this file (fetched in the browser, read from disk in node)
+     * @returns promise of the list. They are not checked
+     */
+    static async loadPuzzles() {
+        let url = new URL("./puzzles.json", import.meta.url);
+        if (url.protocol === "file:") {
+            let fs = await import("node:fs/promises");
+            return JSON.parse(await fs.readFile(url, "utf8"));
+        }
+        let resp = await fetch(url);
+        if (!resp.ok) {
+            throw new Error(`Unable to load the puzzles: ${resp.status} ${resp.statusText}`);
+        }
+        return await resp.json();
+    }
+    /**
+     * throws an error if the solution is not a legal line of the right length that mates the other side
+     * @param {*} puzzle {name, fen, mateIn, solution}
+     */
+    static check(puzzle) {
+        let name = puzzle.name || "";
+        if (!Number.isInteger(puzzle.mateIn) || puzzle.mateIn < 1 || !Array.isArray(puzzle.solution) ||
+            puzzle.solution.length !== 2 * puzzle.mateIn - 1) {
+            throw new Error(`Puzzle "${name}" needs mateIn and a solution of 2 * mateIn - 1 moves`);
+        }
+        let game = Official.fromFEN(puzzle.fen);
+        let solver = game.getCurrPlayer();
+        puzzle.solution.forEach((move, i) => {
+            if (game.isGameOver() || !game.makeMove(move).ok) {
+                throw new Error(`Move ${i + 1} (${move}) of puzzle "${name}" can't be played`);
+            }
+        });
+        if (game.getWinner() !== solver || game.getEndReason() !== "checkmate") {
+            throw new Error(`The solution of puzzle "${name}" doesn't end in mate`);
+        }
+    }
+    getGame() {
+        return this._game;
+    }
+    getName() {
+        return this._puzzle.name;
+    }
+    getMateIn() {
+        return this._puzzle.mateIn;
+    }
+    // the player who solves the puzzle
+    getSolver() {
+        return this._solver;
+    }
+    isSolved() {
+        return this._game.getPly() === this._puzzle.solution.length;
+    }
+    /**
+     * plays the solver's move if it is the next one of the solution, then the answer to it
+     * @param {string} moveStr "03B03E" format
+     * @returns {correct, legal, reply: the answer played ("03B03E") or null, solved}. legal is false when
+     *   the move breaks the rules (see the game's getLastRejection()), which doesn't count as a mistake
+     */
+    play(moveStr) {
+        let game = this._game;
+        let result = { correct: false, legal: true, reply: null, solved: this.isSolved() };
+        if (result.solved) {
+            return result;
+        }
+        let move;
+        try {
+            move = game.interpretMove(moveStr);
+        }
+        catch (e) {
+            game.refuseMove(moveStr, "badNotation", e.message);
+            result.legal = false;
+            return result;
+        }
+        if (!game.validateMove(move)) {
+            result.legal = false;
+            return result;
+        }
+        let solution = this._puzzle.solution;
+        if (game.toNotation(move) !== game.toNotation(game.interpretMove(solution[game.getPly()]))) {
+            this._mistakes++;
+            return result;
+        }
+        game.makeMove(solution[game.getPly()]);
+        result.correct = true;
+        if (!this.isSolved()) {
+            result.reply = solution[game.getPly()];
+            game.makeMove(result.reply);
+        }
+        result.solved = this.isSolved();
+        return result;
+    }
+    // the next move of the solution, null once solved. Counted in getProgress()
+    hint() {
+        if (this.isSolved()) {
+            return null;
+        }
+        this._hints++;
+        return this._puzzle.solution[this._game.getPly()];
+    }
+    // {done, total} moves of the solver, the mistakes & hints so far and whether it is solved
+    getProgress() {
+        return {
+            done: Math.ceil(this._game.getPly() / 2),
+            total: this._puzzle.mateIn,
+            mistakes: this._mistakes,
+            hints: this._hints,
+            solved: this.isSolved()
+        };
+    }
+}
+export { Puzzle };
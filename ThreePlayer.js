@@ -0,0 +1,162 @@
+/**
+ *
+ * three player xiangqi on a T-shaped board: the usual 9 wide, 5 deep home area for each player
+ *   around a 9x9 neutral middle. Uses the "three-player" layout in layouts.json.
+ *
+ *   rows 19-15 (array 0-4):   player 2's home, columns F-N, moving down
+ *   rows 14-6  (array 5-13):  player 3's home at columns A-E (moving right), the middle at F-N
+ *   rows 5-1   (array 14-18): player 1's home, columns F-N, moving up
+ *
+ * the palaces are the 3x3 squares in the middle of each back rank. Leaving the home area is
+ *   "crossing the river" for elephants & pawns. Kings face each other along any row or column.
+ * turns go 1 => 2 => 3. A player whose general is taken, or who has no legal move on their turn,
+ *   is out of the game; their pieces stay on the board but can't move or give check.
+ *   The last player left wins. A player who resigns or runs out of time is out for good: taking moves
+ *   back doesn't bring them back into the game.
+ * otherwise takebacks & repetitions are as in Casual: moves can be taken back, a forbidden repetition is refused.
+ */
+import { AbstractGame } from './AbstractGame.js';
+class ThreePlayer extends AbstractGame {
+    constructor(layout) {
+        super(layout);
+        this._eliminated = []; // players out of the game, in the order they lost
+        this._forfeits = []; // {player, reason} of the players who resigned or ran out of time
+    }
+    static fromFEN(str) {
+        throw new Error("FEN only describes two player games");
+    }
+    toFEN() {
+        throw new Error("FEN only describes two player games");
+    }
+    getStartFEN() {
+        throw new Error("FEN only describes two player games");
+    }
+    // players out of the game, in the order they lost
+    getEliminated() {
+        return this._eliminated.slice();
+    }
+    // next player still in the game
+    getNextPlayer() {
+        let next = this._currentPlayer;
+        for (let i = 0; i < this._numPlayers; i++) {
+            next = (next === this._numPlayers) ? 1 : next + 1;
+            if (!this._isEliminated(next) && this._hasKing(next)) {
+                return next;
+            }
+        }
+        return this._currentPlayer;
+    }
+    _isEliminated(team) {
+        return this._eliminated.indexOf(team) !== -1;
+    }
+    // the home areas & the middle. Columns A-E only exist next to the middle
+    _inBounds(r, c) {
+        return r * (r - 18) <= 0 && c * (c - 13) <= 0 && (c >= 5 || (r - 5) * (r - 13) <= 0);
+    }
+    // 1: row 16-18 col 8-10. 2: row 0-2 col 8-10. 3: row 8-10 col 0-2 (array notation)
+    _inPalace(team, r, c) {
+        if (team === 3) {
+            return c <= 2 && (r - 8) * (r - 10) <= 0;
+        }
+        return ((team === 1) ? r >= 16 : r <= 2) && (c - 8) * (c - 10) <= 0;
+    }
+    _onOwnSide(team, r, c) {
+        if (team === 3) {
+            return c <= 4;
+        }
+        return (team === 1) ? r >= 14 : r <= 4;
+    }
+    _forwardDir(team) {
+        if (team === 3) {
+            return [0, 1];
+        }
+        return (team === 1) ? [-1, 0] : [1, 0];
+    }
+    // a player is out when their general is taken or they can't move on their turn.
+    //   the game ends when only one is left
+    _updateWinner() {
+        let reason = "";
+        for (let team = 1; team <= this._numPlayers; team++) {
+            if (!this._isEliminated(team) && !this._hasKing(team)) {
+                this._eliminated.push(team);
+                reason = "kingCaptured";
+            }
+        }
+        while (this._activePlayers().length > 1 && !this._hasLegalMove(this._currentPlayer)) {
+            reason = this._isInCheck(this._currentPlayer) ? "checkmate" : "stalemate";
+            this._eliminated.push(this._currentPlayer);
+            this._currentPlayer = this.getNextPlayer();
+        }
+        let active = this._activePlayers();
+        if (active.length === 1) {
+            this._winner = active[0];
+            this._endReason = reason;
+        }
+    }
+    // a player out of time (or who resigned) is out of the game, like one who is mated
+    _forfeit(player, reason) {
+        this._forfeits.push({ player: player, reason: reason });
+        this._loses(player, reason);
+    }
+    // the player is out of the game. The last one left wins
+    _loses(player, reason) {
+        this._eliminated.push(player);
+        if (player === this._currentPlayer) {
+            this._currentPlayer = this.getNextPlayer();
+        }
+        let active = this._activePlayers();
+        if (active.length === 1) {
+            this._winner = active[0];
+            this._endReason = reason;
+        }
+        else if (this._clock && player === this._clock.getRunning()) {
+            this._clock.start(this._currentPlayer);
+        }
+    }
+    _activePlayers() {
+        let result = [];
+        for (let team = 1; team <= this._numPlayers; team++) {
+            if (!this._isEliminated(team)) {
+                result.push(team);
+            }
+        }
+        return result;
+    }
+    _allowsTakeback() {
+        return true;
+    }
+    _forbiddenRepetitionLoses() {
+        return false;
+    }
+    _hasKing(team) {
+        return this._kings[team] !== -1;
+    }
+    _saveStatus() {
+        let status = super._saveStatus();
+        status.eliminated = this._eliminated.slice();
+        return status;
+    }
+    _restoreStatus(status) {
+        super._restoreStatus(status);
+        this._eliminated = status.eliminated.slice();
+        for (let forfeit of this._forfeits) {
+            if (!this._isEliminated(forfeit.player)) {
+                this._loses(forfeit.player, forfeit.reason);
+            }
+        }
+    }
+    // the moves after a taken back move of a player who has forfeited since can't be redone: they
+    //   were played with that player still in the game
+    _backward() {
+        let entry = super._backward();
+        if (this._forfeits.some((forfeit) => forfeit.player === entry.player)) {
+            this._history.length = this._ply;
+        }
+        return entry;
+    }
+}
+ThreePlayer._variant = "ThreePlayer";
+ThreePlayer._rows = 19;
+ThreePlayer._cols = 14;
+ThreePlayer._numPlayers = 3;
+export { ThreePlayer };
@@ -0,0 +1,15 @@
+/**
+ *
+ * the playable rule variants by name, e.g. for the variant picker and the Variant tag of game records
+ */
+import { Official } from './Official.js';
+import { Casual } from './Casual.js';
+import { DoubleStep } from './DoubleStep.js';
+import { ThreePlayer } from './ThreePlayer.js';
+const Variants = {
+    Official: Official,
+    Casual: Casual,
+    DoubleStep: DoubleStep,
+    ThreePlayer: ThreePlayer
+};
+export { Variants };
@@ -0,0 +1,67 @@
+/**
+ *
+ * speed of the move generator & the AI, in nodes (positions) per second: "node bench/speed.js"
+ *   (or "npm run bench"). Every test is run a few times & the fastest run is shown, as the time of one test.
+ *   perft       counts the move tree from the start to depth 3 with the internal move generator
+ *   makeMove    the same tree to depth 3 through makeMove() & recallMove(), with all the bookkeeping
+ *   search      the AI searching the start position to depth 4 (no time limit)
+ *   three       perft of the three player layout to depth 2
+ */
+import { Casual } from '../Casual.js';
+import { ThreePlayer } from '../ThreePlayer.js';
+import { AI } from '../AI.js';
+import { GameRecord } from '../GameRecord.js';
+const RUNS = 3;
+const MIN_MS = 500;
+// leaf positions under the position, to the depth
+function perft(game, team, depth) {
+    let moves = game._allLegalMoves(team);
+    if (depth === 1) {
+        return moves.length;
+    }
+    let next = (team === game.getNumPlayers()) ? 1 : team + 1;
+    let count = 0;
+    for (let move of moves) {
+        let captured = game._doMove(move);
+        count += perft(game, next, depth - 1);
+        game._undoMove(move, captured);
+    }
+    return count;
+}
+function perftMoves(game, depth) {
+    let moves = game.giveAllValidMoves();
+    if (depth === 1) {
+        return moves.length;
+    }
+    let count = 0;
+    for (let move of moves) {
+        game.makeMove(move);
+        count += game.isGameOver() ? 0 : perftMoves(game, depth - 1);
+        game.recallMove();
+    }
+    return count;
+}
+// runs the test & prints its best speed. A run repeats the test until it took MIN_MS, so fast tests are timed too
+function measure(name, test) {
+    let best = Infinity;
+    let nodes = 0;
+    for (let i = 0; i < RUNS; i++) {
+        let start = process.hrtime.bigint();
+        let count = 0;
+        let ms = 0;
+        do {
+            nodes = test();
+            count++;
+            ms = Number(process.hrtime.bigint() - start) / 1e6;
+        } while (ms < MIN_MS);
+        best = Math.min(best, ms / count);
+    }
+    let rate = Math.round(nodes / best * 1000);
+    console.log(`${name.padEnd(10)} ${String(nodes).padStart(9)} nodes ${best.toFixed(1).padStart(8)} ms ` +
+        `${String(rate).padStart(10)} nodes/s`);
+}
+let three = await ThreePlayer.initialize("three-player");
+measure("perft", () => perft(Casual.fromFEN(GameRecord.START_FEN), 1, 3));
+measure("makeMove", () => perftMoves(Casual.fromFEN(GameRecord.START_FEN), 3));
+measure("search", () => new AI({ depth: 4, timeMs: Infinity }).search(Casual.fromFEN(GameRecord.START_FEN)).nodes);
+measure("three", () => perft(three, 1, 2));
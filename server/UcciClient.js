@@ -0,0 +1,206 @@
+/**
+ *
+ * talks to a xiangqi engine over UCCI (the Universal Chinese Chess Protocol) on its stdin/stdout, e.g. to
+ *   analyse games. Node only: the engine is a local process.
+ *
+ *   let engine = new UcciClient("node", ["server/ucci-engine.js"]);
+ *   await engine.start();                 // "ucci" ... "ucciok"
+ *   engine.setPosition(game);             // "position fen <start> moves h2e2 h9g7 ..."
+ *   let result = await engine.go({depth: 4});   // {move: "03H03E", ponder, score, info: [...]}
+ *   await engine.quit();
+ *
+ * engines speak ICCS ("h2e2"); moves are turned into the "03B03E" format through the game's
+ *   interpretMove(), so they are checked against the board size.
+ */
+import { spawn } from 'node:child_process';
+import { Notation } from '../Notation.js';
+class UcciClient {
+    /**
+     * @param {string} command the engine program
+     * @param {string[]} args
+     * @param {function} onInfo called with each parsed "info" line while searching (optional)
+     */
+    constructor(command, args = [], onInfo = null) {
+        this._command = command;
+        this._args = args;
+        this._onInfo = onInfo;
+        this._process = null;
+        this._buffer = "";
+        this._waiting = []; // {match(line), lines, resolve} of the answers being waited for
+        this._game = null; // the game of the last setPosition()
+        this._exited = null; // promise of the exit code
+        this.name = "";
+        this.author = "";
+        this.options = [];
+    }
+    /**
+     * starts the engine & does the "ucci" handshake
+     * @returns promise of the client, once the engine answered "ucciok"
+     */
+    start() {
+        this._process = spawn(this._command, this._args, { stdio: ["pipe", "pipe", "inherit"] });
+        this._exited = new Promise((resolve) => this._process.on("exit", (code) => {
+            this._process = null;
+            // nothing more will come
+            for (let waiter of this._waiting) {
+                waiter.reject(new Error(`The engine exited with code ${code}`));
+            }
+            this._waiting = [];
+            resolve(code);
+        }));
+        this._process.stdout.setEncoding("utf8");
+        this._process.stdout.on("data", (data) => this._read(data));
+        return this._ask("ucci", (line) => line === "ucciok").then((lines) => {
+            for (let line of lines) {
+                if (line.startsWith("id name ")) {
+                    this.name = line.substring(8);
+                }
+                else if (line.startsWith("id author ")) {
+                    this.author = line.substring(10);
+                }
+                else if (line.startsWith("option ")) {
+                    this.options.push(line.substring(7));
+                }
+            }
+            return this;
+        });
+    }
+    // promise resolved when the engine answers "readyok"
+    isReady() {
+        return this._ask("isready", (line) => line === "readyok").then(() => true);
+    }
+    setOption(name, value) {
+        this._send(`setoption ${name} ${value}`);
+    }
+    /**
+     * sends the position of the game: its start & the moves played so far
+     * @param {AbstractGame} game a two player game
+     */
+    setPosition(game) {
+        let moves = Notation.formatHistory(game, "iccs").slice(0, game.getPly());
+        this._game = game;
+        this._send(`position fen ${game.getStartFEN()}${(moves.length > 0) ? " moves " + moves.join(" ") : ""}`);
+    }
+    /**
+     * searches the position of the last setPosition()
+     * @param {*} limits {depth} and/or {timeMs, incrementMs}, timeMs being the mover's clock time left.
+     *   Searches until stop() without either
+     * @returns promise of {move: "03H03E" or null if there is none, ponder: "03H03E" or null, score, info}
+     *   score is the last one the engine gave; info all the parsed "info" lines
+     */
+    go(limits = {}) {
+        if (!this._game) {
+            return Promise.reject(new Error("Set a position before searching"));
+        }
+        let game = this._game;
+        let command = "go";
+        if (limits.depth !== undefined) {
+            command += ` depth ${limits.depth}`;
+        }
+        if (limits.timeMs !== undefined) {
+            command += ` time ${limits.timeMs}`;
+            if (limits.incrementMs) {
+                command += ` increment ${limits.incrementMs}`;
+            }
+        }
+        if (limits.depth === undefined && limits.timeMs === undefined) {
+            command += " infinite";
+        }
+        return this._ask(command, (line) => line.startsWith("bestmove") || line === "nobestmove").then((lines) => {
+            let info = lines.filter((line) => line.startsWith("info ")).map(UcciClient.parseInfo);
+            let scored = info.filter((item) => item.score !== undefined);
+            let words = lines[lines.length - 1].split(/\s+/);
+            let result = { move: null, ponder: null, score: (scored.length > 0) ? scored[scored.length - 1].score : null, info: info };
+            if (words[0] === "bestmove") {
+                result.move = this.toInternal(words[1], game);
+                if (words[2] === "ponder" && words[3]) {
+                    result.ponder = this.toInternal(words[3], game);
+                }
+            }
+            return result;
+        });
+    }
+    // ends an infinite search. The pending go() gets the result
+    stop() {
+        this._send("stop");
+    }
+    // asks the engine to quit. promise of its exit code
+    quit() {
+        if (!this._process) {
+            return Promise.resolve(null);
+        }
+        this._send("quit");
+        return this._exited;
+    }
+    /**
+     * "h2e2" => "03H03E", checked with the game's interpretMove()
+     * @param {string} iccs
+     * @param {AbstractGame} game
+     */
+    toInternal(iccs, game = this._game) {
+        let match = /^([a-i])(\d)([a-i])(\d)$/.exec(iccs);
+        if (!match) {
+            throw new Error(`Unable to understand engine move: ${iccs}`);
+        }
+        let row = (rank) => ((rank < 9) ? "0" : "") + (rank + 1);
+        let str = row(parseInt(match[2])) + match[1].toUpperCase() + row(parseInt(match[4])) + match[3].toUpperCase();
+        return game.toNotation(game.interpretMove(str));
+    }
+    /**
+     * "info depth 5 score 32 nodes 1000 time 20 pv h2e2 h9g7" => {depth: 5, score: 32, nodes: 1000, time: 20, pv: ["h2e2", "h9g7"]}
+     *   numbers become numbers, pv is a list, other words are kept as strings. "info string ..." gives {string}
+     * @param {string} line
+     */
+    static parseInfo(line) {
+        let words = line.trim().split(/\s+/).slice(1);
+        let result = {};
+        for (let i = 0; i < words.length; i++) {
+            let key = words[i];
+            if (key === "pv") {
+                result.pv = words.slice(i + 1);
+                break;
+            }
+            if (key === "string") {
+                result.string = words.slice(i + 1).join(" ");
+                break;
+            }
+            let value = words[i + 1];
+            result[key] = (value !== undefined && /^-?\d+$/.test(value)) ? parseInt(value) : value;
+            i++;
+        }
+        return result;
+    }
+    _send(command) {
+        if (!this._process) {
+            throw new Error("The engine is not running");
+        }
+        this._process.stdin.write(command + "\n");
+    }
+    // sends the command & collects the lines until the one that ends the answer
+    _ask(command, isLast) {
+        return new Promise((resolve, reject) => {
+            this._waiting.push({ match: isLast, lines: [], resolve: resolve, reject: reject });
+            this._send(command);
+        });
+    }
+    _read(data) {
+        this._buffer += data;
+        let lines = this._buffer.split(/\r?\n/);
+        this._buffer = lines.pop();
+        for (let line of lines.map((item) => item.trim()).filter((item) => item !== "")) {
+            if (line.startsWith("info ") && this._onInfo) {
+                this._onInfo(UcciClient.parseInfo(line));
+            }
+            let waiter = this._waiting[0];
+            if (!waiter) {
+                continue;
+            }
+            waiter.lines.push(line);
+            if (waiter.match(line)) {
+                this._waiting.shift();
+                waiter.resolve(waiter.lines);
+            }
+        }
+    }
+}
+export { UcciClient };
@@ -0,0 +1,266 @@
+/**
+ *
+ * relay for two-browser games: serves the page and passes messages between the two players of a room.
+ *   Run it with "npm run relay" (PORT=8080 by default) and open http://localhost:8080 in both browsers.
+ *   It only listens on this machine; HOST=0.0.0.0 opens it to the local network. No packages needed: the
+ *   WebSocket protocol (RFC 6455) is done by hand on top of node:http.
+ *
+ * messages are JSON text frames. The relay only knows about rooms; the game itself is checked by the
+ *   players (see NetworkGame.js).
+ *   in:  {type: "join", room, seat?}   joins the room, in the seat if it is free (after a reconnect)
+ *        anything else                 passed on to the other player of the room
+ *   out: {type: "joined", room, seat, peers}   seat is 1 (red) or 2 (black), peers the others in the room
+ *        {type: "peerJoined", seat} / {type: "peerLeft", seat}
+ *        {type: "error", message}
+ */
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_FRAME = 1 << 20;
+const TYPES = { ".html": "text/html", ".js": "text/javascript", ".json": "application/json", ".css": "text/css" };
+// the files the page needs: the scripts, page & styles at the top of the project, the layouts & puzzles,
+//   and three.js. Not the rest of the project (server, package files, node_modules...)
+const PAGE_FILES = /^\/(?:[\w-]+\.(?:html|js|css)|layouts\.json|puzzles\.json|node_modules\/three\/(?:build\/three\.module\.js|examples\/jsm\/[\w\/.-]+\.js))$/;
+// room code => [null, socket of seat 1, socket of seat 2]
+const rooms = new Map();
+/**
+ * one WebSocket connection. Reads frames from the socket & calls onMessage with each text message
+ */
+class Connection {
+    constructor(socket, onMessage, onClose) {
+        this._socket = socket;
+        this._buffer = Buffer.alloc(0);
+        this._fragments = [];
+        this._closed = false;
+        this.room = null;
+        this.seat = 0;
+        socket.on("data", (data) => {
+            this._buffer = Buffer.concat([this._buffer, data]);
+            try {
+                this._readFrames(onMessage);
+            }
+            catch (e) {
+                this.close(1002);
+            }
+        });
+        // the other end went away without a close frame (crashed tab, lost network): the http server keeps
+        //   upgraded sockets half open, so close ours too or the seat is never freed
+        socket.on("end", () => socket.end());
+        socket.on("close", () => {
+            this._closed = true;
+            onClose(this);
+        });
+        socket.on("error", () => socket.destroy());
+    }
+    send(message) {
+        if (!this._closed) {
+            this._socket.write(Connection._frame(1, Buffer.from(JSON.stringify(message))));
+        }
+    }
+    close(code = 1000) {
+        if (!this._closed) {
+            let payload = Buffer.alloc(2);
+            payload.writeUInt16BE(code);
+            this._socket.end(Connection._frame(8, payload));
+            this._closed = true;
+        }
+    }
+    _readFrames(onMessage) {
+        while (this._buffer.length >= 2) {
+            let fin = (this._buffer[0] & 0x80) !== 0;
+            let opcode = this._buffer[0] & 0x0f;
+            let masked = (this._buffer[1] & 0x80) !== 0;
+            let length = this._buffer[1] & 0x7f;
+            let offset = 2;
+            if (length === 126) {
+                if (this._buffer.length < 4) {
+                    return;
+                }
+                length = this._buffer.readUInt16BE(2);
+                offset = 4;
+            }
+            else if (length === 127) {
+                if (this._buffer.length < 10) {
+                    return;
+                }
+                length = Number(this._buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            if (!masked || length > MAX_FRAME) {
+                throw new Error("Bad frame"); // clients must mask their frames
+            }
+            if (this._buffer.length < offset + 4 + length) {
+                return;
+            }
+            let mask = this._buffer.subarray(offset, offset + 4);
+            let payload = Buffer.from(this._buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+            this._buffer = this._buffer.subarray(offset + 4 + length);
+            if (opcode === 8) {
+                this.close();
+                return;
+            }
+            if (opcode === 9) {
+                this._socket.write(Connection._frame(10, payload));
+            }
+            else if (opcode === 0 || opcode === 1) {
+                this._fragments.push(payload);
+                if (fin) {
+                    let text = Buffer.concat(this._fragments).toString("utf8");
+                    this._fragments = [];
+                    onMessage(this, text);
+                }
+            }
+        }
+    }
+    // an unmasked frame, as the server sends them
+    static _frame(opcode, payload) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        }
+        else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        }
+        else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        return Buffer.concat([header, payload]);
+    }
+}
+function handleMessage(conn, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    }
+    catch (e) {
+        conn.send({ type: "error", message: "Messages must be JSON" });
+        return;
+    }
+    if (message.type === "join") {
+        join(conn, String(message.room || ""), message.seat);
+    }
+    else if (!conn.room) {
+        conn.send({ type: "error", message: "Join a room first" });
+    }
+    else {
+        for (let other of rooms.get(conn.room)) {
+            if (other && other !== conn) {
+                other.send(message);
+            }
+        }
+    }
+}
+function join(conn, room, seat) {
+    if (!/^\w{1,32}$/.test(room)) {
+        conn.send({ type: "error", message: "Room codes are 1-32 letters or digits" });
+        return;
+    }
+    if (conn.room) {
+        leave(conn);
+    }
+    if (!rooms.has(room)) {
+        rooms.set(room, [null, null, null]);
+    }
+    let seats = rooms.get(room);
+    if ((seat !== 1 && seat !== 2) || seats[seat]) {
+        seat = !seats[1] ? 1 : (!seats[2] ? 2 : 0);
+    }
+    if (seat === 0) {
+        conn.send({ type: "error", message: `Room ${room} is full` });
+        return;
+    }
+    seats[seat] = conn;
+    conn.room = room;
+    conn.seat = seat;
+    let peers = [1, 2].filter((i) => i !== seat && seats[i]);
+    conn.send({ type: "joined", room: room, seat: seat, peers: peers });
+    for (let i of peers) {
+        seats[i].send({ type: "peerJoined", seat: seat });
+    }
+}
+function leave(conn) {
+    let seats = rooms.get(conn.room);
+    if (!seats || seats[conn.seat] !== conn) {
+        return;
+    }
+    seats[conn.seat] = null;
+    if (!seats[1] && !seats[2]) {
+        rooms.delete(conn.room);
+    }
+    else {
+        for (let other of seats) {
+            if (other) {
+                other.send({ type: "peerLeft", seat: conn.seat });
+            }
+        }
+    }
+    conn.room = null;
+}
+// the files of the page (see PAGE_FILES). Nothing starting with a dot & nothing outside the project folder
+function serveFile(req, res) {
+    let file = "";
+    try {
+        let name = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+        if (name === "/") {
+            name = "/index.html";
+        }
+        if (PAGE_FILES.test(name) && !name.split("/").some((part) => part.startsWith("."))) {
+            file = path.join(ROOT, name);
+        }
+    }
+    catch (e) {
+        // malformed url, answered below
+    }
+    if (!file.startsWith(ROOT + path.sep) || req.method !== "GET") {
+        res.writeHead(404);
+        res.end("Not found");
+        return;
+    }
+    fs.readFile(file, (err, data) => {
+        if (err) {
+            res.writeHead(404);
+            res.end("Not found");
+            return;
+        }
+        res.writeHead(200, { "Content-Type": TYPES[path.extname(file)] || "application/octet-stream" });
+        res.end(data);
+    });
+}
+/**
+ * creates the relay. Call listen() on the result
+ * @returns the node:http server
+ */
+function createRelay() {
+    let server = http.createServer(serveFile);
+    server.on("upgrade", (req, socket) => {
+        let key = req.headers["sec-websocket-key"];
+        if (!key || (req.headers.upgrade || "").toLowerCase() !== "websocket") {
+            socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+            return;
+        }
+        let accept = crypto.createHash("sha1").update(key + GUID).digest("base64");
+        socket.write("HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n" +
+            `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+        new Connection(socket, handleMessage, leave);
+    });
+    return server;
+}
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    let port = parseInt(process.env.PORT || "8080");
+    let host = process.env.HOST || "127.0.0.1";
+    createRelay().listen(port, host, () => console.log(`Relay on http://${host}:${port}`));
+}
+export { createRelay };
@@ -0,0 +1,100 @@
+/**
+ *
+ * the project's own move generator & AI as a UCCI engine on stdin/stdout, e.g. for UcciClient.js or any
+ *   UCCI program: "node server/ucci-engine.js" (or "npm run engine").
+ *
+ * commands understood:
+ *   ucci                                        answers the id lines & "ucciok"
+ *   isready                                     "readyok"
+ *   position fen <fen> [moves <iccs> ...]       also "position startpos [moves ...]"
+ *   go [depth <n>] [time <ms>] [increment <ms>] "info ..." then "bestmove <iccs>", or "nobestmove"
+ *   go infinite                                 searches like the expert level
+ *   quit                                        "bye", then exits
+ * setoption, stop & other commands are ignored. The search doesn't read input while it runs, so stop
+ *   can't cut it short; it is always bounded by the depth & a time limit.
+ * time is the clock time left: a twentieth of it (plus the increment) is spent on the move.
+ */
+import readline from 'node:readline';
+import { Casual } from '../Casual.js';
+import { AI } from '../AI.js';
+import { Notation } from '../Notation.js';
+import { GameRecord } from '../GameRecord.js';
+const output = (line) => process.stdout.write(line + "\n");
+let game = Casual.fromFEN(GameRecord.START_FEN);
+/**
+ * sets up the position of a "position" command. Stops at the first move that can't be played
+ * @param {string[]} words the command, split on spaces
+ */
+function setPosition(words) {
+    let movesAt = words.indexOf("moves");
+    let end = (movesAt === -1) ? words.length : movesAt;
+    let fen = (words[1] === "startpos") ? GameRecord.START_FEN : words.slice(2, end).join(" ");
+    try {
+        game = Casual.fromFEN(fen);
+    }
+    catch (e) {
+        output(`info string bad fen: ${e.message}`);
+        game = Casual.fromFEN(GameRecord.START_FEN);
+        return;
+    }
+    for (let iccs of (movesAt === -1) ? [] : words.slice(movesAt + 1)) {
+        let played = false;
+        try {
+            played = game.makeMove(game.toNotation(Notation.parse(iccs, game))).ok;
+        }
+        catch (e) {
+            // not a move, reported below
+        }
+        if (!played) {
+            output(`info string illegal move ${iccs}`);
+            return;
+        }
+    }
+}
+/**
+ * searches the current position & writes the result
+ * @param {string[]} words the command, split on spaces
+ */
+function go(words) {
+    let value = (name) => {
+        let i = words.indexOf(name);
+        return (i === -1) ? undefined : parseInt(words[i + 1]);
+    };
+    let limits = Object.assign({}, AI.LEVELS.expert);
+    if (value("depth") !== undefined) {
+        limits.depth = value("depth");
+    }
+    if (value("time") !== undefined) {
+        limits.timeMs = Math.max(1, Math.floor(value("time") / 20) + (value("increment") || 0));
+    }
+    let started = Date.now();
+    let result = new AI(limits).search(game);
+    if (result.move === null) {
+        output("nobestmove");
+        return;
+    }
+    let iccs = Notation.format(game.interpretMove(result.move), game.getLayout(), "iccs");
+    output(`info depth ${result.depth} score ${result.score} nodes ${result.nodes} time ${Date.now() - started} pv ${iccs}`);
+    output(`bestmove ${iccs}`);
+}
+function handle(line) {
+    let words = line.trim().split(/\s+/);
+    switch (words[0]) {
+        case "ucci":
+            output("id name Chinese Chess AI");
+            output("ucciok");
+            break;
+        case "isready":
+            output("readyok");
+            break;
+        case "position":
+            setPosition(words);
+            break;
+        case "go":
+            go(words);
+            break;
+        case "quit":
+            process.stdout.write("bye\n", () => process.exit(0));
+    }
+}
+readline.createInterface({ input: process.stdin }).on("line", handle).on("close", () => process.exit(0));
@@ -5,6 +5,16 @@
 
 'use strict';
 import {AbstractGame} from './AbstractGame.js';
+import {Variants} from './Variants.js';
+import {Notation} from './Notation.js';
+import {GameRecord} from './GameRecord.js';
+import {Clock} from './Clock.js';
+import {NetworkGame} from './NetworkGame.js';
+import {PositionEditor} from './PositionEditor.js';
+import {Puzzle} from './Puzzle.js';
+import {Annotations} from './Annotations.js';
+import {GameStore} from './GameStore.js';
+import {AI} from './AI.js';
 
 (function() {
   window.addEventListener('load', init);
@@ -17,142 +27,756 @@ import {AbstractGame} from './AbstractGame.js';
     return document.createElement(tagName);
   }
 
-  function playMove(game) {
-    let inputStr = id('moveInput').value;
-    let status = game.makeMove(inputStr);
-    // update the info boards
-    id('board').textContent = game.toString();
-    id('gameState').textContent = "Current Player: " + game.getCurrPlayer();
-    if (status === -1) {
-      id('moveState').textContent = `Move ${inputStr.toUpperCase()} is not accepted`;
-    } else if (status === 1) {
-      id('moveState').textContent = 'Capture!';
-    } else if (status === 2) {
-      id('moveState').textContent = 'Check!';
-    } else if (status === 0) {
-      id('moveState').textContent = '';
-    } else {
-      id('moveState').textContent = `Error: Status ${status} is not recognized.`;
+  // shows what happens in the game under the board. Called for every new game
+  function watch(game) {
+    let show = (text) => () => {
+      id('moveState').textContent = text;
+    };
+    game.on('move', show(''));
+    game.on('capture', show('Capture!'));
+    game.on('check', show('Check!'));
+    game.on('illegalMove', (detail) => {
+      id('moveState').textContent = `Move ${detail.move.toUpperCase()} is not accepted: ${detail.message}.`;
+    });
+    game.on('gameOver', (detail) => {
+      if (detail.reason === 'timeout') {
+        id('moveState').textContent = 'Time is up!';
+      }
+    });
+  }
+
+  // the 3D board, or a stand-in when three.js can't be loaded (e.g. node_modules is not served): the
+  // text board & the move box still work
+  async function createView(container, onMove) {
+    try {
+      let {BoardView} = await import('./BoardView.js');
+      return new BoardView(container, onMove);
+    } catch (e) {
+      console.error(e);
+      container.textContent = 'The 3D board is not available (three.js could not be loaded). ' +
+        'Play with the text board and the move box.';
+      return {enabled: true, onSquare: null, update() {}, ready() {
+        return Promise.resolve();
+      }};
+    }
+  }
+
+  // plays a move typed in the input box or picked on the 3D board. Online, the move is sent too
+  function playMove(game, view, inputStr, network) {
+    try {
+      // any supported notation is turned into the "03B03E" format first
+      (network || game).makeMove(game.toNotation(Notation.parse(inputStr, game)));
+    } catch (e) {
+      id('moveState').textContent = `Move ${inputStr.toUpperCase()} is not accepted: ${e.message}.`;
     }
     id('moveInput').value = '';
-    // check if game ends
-    if (game.isGameOver()) {
-      id('gameState').textContent = `The winner is ${game.getWinner()}! Refresh the page to play again.`;
-      id('move').disabled = true;
-      id('recall').disabled = true;
+    updateBoard(game, view);
+  }
+
+  // checks the move against the puzzle's solution. A correct one is answered at once
+  function playPuzzleMove(puzzle, view, inputStr, solved) {
+    let game = puzzle.getGame();
+    try {
+      let result = puzzle.play(game.toNotation(Notation.parse(inputStr, game)));
+      if (!result.legal) {
+        id('moveState').textContent = `Move ${inputStr.toUpperCase()} is not accepted: ` +
+          `${game.getLastRejection().message}.`;
+      } else if (!result.correct) {
+        id('moveState').textContent = `${inputStr.toUpperCase()} is not the solution. Try again!`;
+      } else if (result.solved) {
+        solved.add(puzzle.getName());
+        id('moveState').textContent = 'Solved!';
+      } else {
+        let history = Notation.formatHistory(game, notationStyle(game));
+        id('moveState').textContent = `Correct! The answer is ${history[history.length - 1]}.`;
+      }
+    } catch (e) {
+      id('moveState').textContent = `Move ${inputStr.toUpperCase()} is not accepted: ${e.message}.`;
+    }
+    id('moveInput').value = '';
+    updateBoard(game, view);
+  }
+
+  // how far the solver got in the puzzle & in the whole set
+  function showPuzzle(puzzle, solved, count) {
+    let progress = puzzle.getProgress();
+    id('puzzleState').textContent = `${puzzle.getName()}: mate in ${progress.total}. ` +
+      `Moves found: ${progress.done}/${progress.total}, ` +
+      `mistakes: ${progress.mistakes}, hints: ${progress.hints}. Solved ${solved.size} of ${count} puzzles.`;
+  }
+
+  // the position being edited & what is wrong with it
+  function showEditor(editor, view) {
+    let preview = editor.preview();
+    view.update(preview);
+    id('board').textContent = preview.toString();
+    id('fen').textContent = editor.toFEN();
+    id('history').innerHTML = '';
+    id('gameState').textContent = 'Editing: pick a piece and click the squares to put it there.';
+    let problems = editor.validate();
+    id('moveState').textContent = (problems.length > 0) ? `${problems.join('. ')}.` : 'The position is legal.';
+  }
+
+  // the position after the reviewed move: what the analysis found about the move, and the notes
+  function showReview(game, view, ply, annotations, analysis) {
+    let shown = game.copyAt(ply);
+    let style = notationStyle(game);
+    let history = Notation.formatHistory(game, style);
+    view.update(shown);
+    id('board').textContent = shown.toString();
+    id('fen').textContent = shown.toFEN();
+    // the history jumps the game itself, not the review
+    id('history').querySelectorAll('button').forEach((button) => {
+      button.disabled = true;
+    });
+    let text = (ply === 0) ? 'Start of the game' : `After move ${ply}: ${history[ply - 1]}`;
+    // only if the analysis was made for these moves
+    let played = game.getHistory();
+    if (analysis && ply < analysis.evals.length && analysis.moves.slice(0, ply).every((move, i) => move.move === played[i])) {
+      text += `. Evaluation: ${analysis.evals[ply] > 0 ? '+' : ''}${analysis.evals[ply]} for player 1`;
+      let move = analysis.moves[ply - 1];
+      let best = (move && move.best) ? Notation.formatLine(game.copyAt(ply - 1), [move.best], style)[0] : '';
+      if (move && move.blunder) {
+        text += `. Blunder: ${best} was better by ${move.loss}`;
+      }
+      if (move && move.missedCapture) {
+        text += `. Missed capture: ${best}`;
+      }
+    }
+    id('reviewState').textContent = `${text}.`;
+    showNotes(game, ply, annotations);
+  }
+
+  // the games saved in this browser, latest first. The picked one stays picked
+  function showSaved(store) {
+    let picked = id('savedGames').value;
+    id('savedGames').innerHTML = '';
+    for (let entry of store.list()) {
+      let option = gen('option');
+      option.value = entry.id;
+      option.textContent = `${new Date(entry.updated).toLocaleString()}: ${describeSaved(entry)}`;
+      option.selected = entry.id === picked;
+      id('savedGames').appendChild(option);
     }
   }
 
-  function recallMove(game) {
-    let status = game.recallMove();
-    if (status) {
-      id('board').textContent = game.toString();
-      id('gameState').textContent = "Current Player: " + game.getCurrPlayer();
+  // "Official game (official layout), 12 moves, unfinished"
+  function describeSaved(entry) {
+    let layout = (entry.layout !== '') ? `${entry.layout} layout` : 'set up position';
+    let result = (entry.result === '*') ? 'unfinished' : entry.result;
+    return `${entry.variant} game (${layout}), ${entry.moves.length} moves, ${result}`;
+  }
+
+  // the comment & variations of the ply
+  function showNotes(game, ply, annotations) {
+    let lines = annotations.getVariations(ply).map((line) =>
+      Notation.formatLine(game.copyAt(ply), line, notationStyle(game)).join(' '));
+    id('comment').value = annotations.getComment(ply);
+    id('variations').textContent = (lines.length > 0) ? `Variations: ${lines.join(' | ')}` : '';
+  }
+
+  function recallMove(game, view) {
+    if (game.recallMove()) {
       id('moveState').textContent = 'Move recalled!';
     } else {
       id('moveState').textContent = 'There is no reverse available.';
     }
+    updateBoard(game, view);
+  }
+
+  function redoMove(game, view) {
+    if (game.redoMove()) {
+      id('moveState').textContent = 'Move redone!';
+    } else {
+      id('moveState').textContent = 'There is no move to redo.';
+    }
+    updateBoard(game, view);
+  }
+
+  function goToPly(game, view, ply) {
+    game.goToPly(ply);
+    id('moveState').textContent = `Went to move ${ply}.`;
+    updateBoard(game, view);
+  }
+
+  // asks the worker for the computer's move when it is black's turn, and plays it
+  function computerMove(game, view, worker) {
+    if (!id('vsComputer').checked || game.isGameOver() || game.getCurrPlayer() !== 2 || !AI.canPlay(game)) {
+      return;
+    }
+    let ply = game.getPly();
+    id('move').disabled = true;
+    view.enabled = false;
+    id('moveState').textContent = 'The computer is thinking...';
+    worker.onmessage = (evt) => {
+      if (game.getPly() !== ply) {
+        return; // the position changed while it was thinking
+      }
+      if (evt.data.error || !evt.data.move) {
+        id('moveState').textContent = `The computer cannot move: ${evt.data.error}`;
+      } else {
+        let notation = Notation.format(game.interpretMove(evt.data.move), game.getLayout(),
+          notationStyle(game));
+        game.makeMove(evt.data.move);
+        id('moveState').textContent = `The computer played ${notation}.`;
+      }
+      view.enabled = true;
+      updateBoard(game, view);
+    };
+    worker.postMessage({
+      variant: game.getVariant(),
+      fen: game.getStartFEN(),
+      moves: game.getHistory().slice(0, ply),
+      level: id('difficulty').value
+    });
+  }
+
+  // the standard notations are only defined for the two player board
+  function notationStyle(game) {
+    return (game.getNumPlayers() === 2) ? id('notationStyle').value : 'internal';
+  }
+
+  // update the info boards, the history list, and check if game ends
+  function updateBoard(game, view) {
+    view.update(game);
+    id('board').textContent = game.toString();
+    id('fen').textContent = (game.getNumPlayers() === 2) ? game.toFEN() : '';
+    id('gameState').textContent = `${game.getVariant()} game. Current Player: ${game.getCurrPlayer()}`;
+    if (game.getEliminated && game.getEliminated().length > 0) {
+      id('gameState').textContent += `. Out of the game: ${game.getEliminated().join(', ')}`;
+    }
+    id('history').innerHTML = '';
+    let start = gen('button');
+    start.textContent = 'Start';
+    start.addEventListener('click', () => goToPly(game, view, 0));
+    id('history').appendChild(start);
+    Notation.formatHistory(game, notationStyle(game)).forEach((notation, i) => {
+      let button = gen('button');
+      button.textContent = `${i + 1}. ${notation}`;
+      button.disabled = i + 1 === game.getPly();
+      button.addEventListener('click', () => goToPly(game, view, i + 1));
+      id('history').appendChild(button);
+    });
+    start.disabled = game.getPly() === 0;
+    id('move').disabled = game.isGameOver();
+    if (game.isGameOver()) {
+      let result = (game.getWinner() === 0) ? `It is a draw by ${game.getEndReason()}!` :
+        `The winner is ${game.getWinner()} by ${game.getEndReason()}!`;
+      id('gameState').textContent = `${result} Review it with the buttons below or press "New game".`;
+    }
+  }
+
+  // what happened in the online game, for the message board
+  function networkMessage(network, event, detail) {
+    let messages = {
+      joined: `Joined as player ${network.getSeat()}. ` +
+        (detail.peers && detail.peers.length > 0 ? 'The other player is here.' : 'Waiting for the other player...'),
+      peerJoined: 'The other player joined!',
+      peerLeft: 'The other player left. They can come back with the same room code.',
+      move: 'The other player moved.',
+      sync: 'The game was updated from the other player.',
+      drawOffer: 'The other player offers a draw.',
+      drawDeclined: 'The other player declined the draw.',
+      gameOver: 'The game is over.',
+      disconnected: 'Connection lost. Reconnecting...',
+      error: detail.message
+    };
+    return messages[event];
+  }
+
+  // shows the time left & ends the game when someone runs out of it
+  function updateClocks(game, view) {
+    let clock = game.getClock();
+    if (!clock) {
+      id('clocks').textContent = '';
+      return;
+    }
+    let times = [];
+    for (let player = 1; player <= game.getNumPlayers(); player++) {
+      let running = clock.getRunning() === player ? ' <' : '';
+      times.push(`Player ${player}: ${clock.format(player)}${running}`);
+    }
+    id('clocks').textContent = times.join(' | ');
+    if (game.checkTime()) {
+      updateBoard(game, view);
+    }
   }
 
   async function init() {
-    let game = await AbstractGame.initialize();
+    id('loading').classList.remove('hidden');
+    let game;
+    try {
+      game = await Variants.Casual.initialize();
+    } catch (e) {
+      // no layouts.json: the usual starting position still works from its FEN
+      game = Variants.Casual.fromFEN(GameRecord.START_FEN);
+      id('moveState').textContent = e.message;
+    }
+    watch(game);
+    let worker = new Worker('AIWorker.js', {type: 'module'});
+    let network = null; // the online game, if any
+    let editor = null; // the position being set up, if any
+    let puzzle = null; // the puzzle being solved, if any
+    let puzzles = [];
+    let solved = new Set(); // names of the puzzles solved on this page
+    let annotations = new Annotations(); // comments & variations of the game, saved in its record
+    let analysis = null; // of the game, see Analysis.js
+    let reviewPly = null; // the position shown while stepping through the game
+    let store = null; // saves the games in this browser
+    let savedId = null; // entry of the game being saved, see keep()
+    try {
+      store = new GameStore();
+    } catch (e) {
+      console.error(e); // e.g. storage is turned off: the games are just not saved
+    }
+    let view = await createView(id('view'), (move) => {
+      if (puzzle) {
+        playPuzzleMove(puzzle, view, move, solved);
+        showPuzzle(puzzle, solved, puzzles.length);
+        return;
+      }
+      playMove(game, view, move, network);
+      computerMove(game, view, worker);
+    });
+    // a new game on this page leaves the online game, the editor & the puzzle, and stops saving the old one
+    let leaveModes = () => {
+      if (store) {
+        store.untrack();
+        savedId = null;
+      }
+      if (network) {
+        network.close();
+        network = null;
+      }
+      editor = null;
+      view.onSquare = null;
+      puzzle = null;
+      id('puzzleState').textContent = '';
+      annotations = new Annotations();
+      analysis = null;
+      reviewPly = null;
+      view.enabled = true;
+      id('addVariation').disabled = true;
+      id('reviewState').textContent = '';
+      id('comment').value = '';
+      id('variations').textContent = '';
+    };
+    // the game's buttons wait until the edited position is played or the review is over
+    let busy = () => {
+      if (editor) {
+        id('moveState').textContent = 'Play the position or start a new game first.';
+      } else if (reviewPly !== null) {
+        id('moveState').textContent = 'Go back to the game first.';
+      }
+      return editor !== null || reviewPly !== null;
+    };
+    // shows the position after the first ply moves, without changing the game
+    let reviewAt = (ply) => {
+      if (editor) {
+        busy();
+        return;
+      }
+      try {
+        let shown = Math.max(0, Math.min(ply, game.getPly()));
+        showReview(game, view, shown, annotations, analysis);
+        reviewPly = shown;
+        view.enabled = false;
+        // a variation replaces the next move, so there has to be one
+        id('addVariation').disabled = shown >= game.getPly();
+      } catch (e) {
+        id('moveState').textContent = e.message;
+      }
+    };
+    // notes go to the position shown, or the current one
+    let notePly = () => (reviewPly === null) ? game.getPly() : reviewPly;
+    // the options saved with a game & put back when it is resumed
+    let settings = () => ({
+      timeControl: id('timeControl').value,
+      vsComputer: id('vsComputer').checked,
+      difficulty: id('difficulty').value,
+      notationStyle: id('notationStyle').value
+    });
+    // saves the game after every move from now on. Online games & puzzles are not saved
+    let keep = (entryId = null) => {
+      if (store) {
+        savedId = store.track(game, settings, entryId);
+        showSaved(store);
+      }
+    };
+    // carries on a saved game (or shows a finished one) with its options
+    let resume = (entry) => {
+      try {
+        game = GameStore.restore(entry);
+        watch(game);
+        leaveModes();
+        id('timeControl').value = entry.settings.timeControl || '';
+        id('vsComputer').checked = Boolean(entry.settings.vsComputer);
+        id('difficulty').value = entry.settings.difficulty || 'medium';
+        id('notationStyle').value = entry.settings.notationStyle || 'internal';
+        keep(entry.id);
+        id('moveState').textContent = game.isGameOver() ? 'Saved game opened!' : 'Game resumed!';
+        updateBoard(game, view);
+        computerMove(game, view, worker);
+      } catch (e) {
+        id('moveState').textContent = `The saved game cannot be opened: ${e.message}`;
+      }
+    };
+    await view.ready();
+    id('loading').classList.add('hidden');
     // game not over then iterate:
     // update the board and the message
     // make the move (wait for the button). If fail then do it again until successful
     // after the loop: find the winner and put it in message board
-    id('board').textContent = game.toString();
-    id('gameState').textContent = "Current Player: " + game.getCurrPlayer();
+    updateBoard(game, view);
+    keep();
+    setInterval(() => updateClocks(game, view), 200);
+    // the time on the clock is saved too
+    window.addEventListener('pagehide', () => store && store.flush());
+    let unfinished = store ? store.getUnfinished() : [];
+    if (unfinished.length > 0) {
+      let others = (unfinished.length > 1) ? ` (${unfinished.length - 1} more in "Saved games")` : '';
+      id('resumeText').textContent = `Your last ${describeSaved(unfinished[0])} is not finished${others}. Resume it?`;
+      id('resumePrompt').classList.remove('hidden');
+    }
+    id('resumeYes').addEventListener('click', () => {
+      id('resumePrompt').classList.add('hidden');
+      resume(unfinished[0]);
+    });
+    id('resumeNo').addEventListener('click', () => {
+      id('resumePrompt').classList.add('hidden');
+    });
+    id('savedGames').addEventListener('focus', () => store && showSaved(store));
+    id('openSaved').addEventListener('click', () => {
+      let entry = store ? store.get(id('savedGames').value) : null;
+      if (!entry) {
+        id('moveState').textContent = 'Pick a saved game first.';
+        return;
+      }
+      id('resumePrompt').classList.add('hidden');
+      resume(entry);
+    });
+    id('deleteSaved').addEventListener('click', () => {
+      if (!store || !store.remove(id('savedGames').value)) {
+        id('moveState').textContent = 'Pick a saved game first.';
+        return;
+      }
+      if (id('savedGames').value === savedId) {
+        store.untrack(); // or the next move saves it again
+        savedId = null;
+      }
+      showSaved(store);
+      id('moveState').textContent = 'Saved game deleted.';
+    });
+    try {
+      for (let name of Object.keys(await AbstractGame.loadLayouts())) {
+        let option = gen('option');
+        option.value = name;
+        option.textContent = name;
+        id('layoutSelect').appendChild(option);
+      }
+    } catch (e) {
+      console.error(e);
+    }
+    let empty = gen('option');
+    empty.value = '0';
+    empty.textContent = 'Empty';
+    id('editPiece').appendChild(empty);
+    for (let team = 1; team <= 2; team++) {
+      for (let type = 1; type <= 7; type++) {
+        let option = gen('option');
+        option.value = String(team * 10 + type);
+        option.textContent = `${team}${AbstractGame._types[type]}`;
+        id('editPiece').appendChild(option);
+      }
+    }
+    try {
+      puzzles = await Puzzle.loadPuzzles();
+      puzzles.forEach((item, i) => {
+        let option = gen('option');
+        option.value = String(i);
+        option.textContent = `${item.name} (mate in ${item.mateIn})`;
+        id('puzzleSelect').appendChild(option);
+      });
+    } catch (e) {
+      console.error(e);
+    }
+    id('startLayout').addEventListener('click', async () => {
+      try {
+        game = await Variants[id('variant').value].initialize(id('layoutSelect').value);
+        watch(game);
+        leaveModes();
+        let control = Clock.CONTROLS[id('timeControl').value];
+        if (control) {
+          game.setClock(new Clock(control, game.getNumPlayers()));
+        }
+        keep();
+        id('moveState').textContent = `New game with layout ${game.getLayoutName()}!`;
+        updateBoard(game, view);
+      } catch (e) {
+        id('moveState').textContent = e.message;
+      }
+    });
     id('move').addEventListener('click', () => {
-      playMove(game);
+      if (busy()) {
+        return;
+      }
+      if (puzzle) {
+        playPuzzleMove(puzzle, view, id('moveInput').value, solved);
+        showPuzzle(puzzle, solved, puzzles.length);
+        return;
+      }
+      playMove(game, view, id('moveInput').value, network);
+      computerMove(game, view, worker);
+    });
+    id('vsComputer').addEventListener('change', () => {
+      if (network || puzzle) {
+        id('vsComputer').checked = false;
+        id('moveState').textContent = 'The computer cannot play in online games or puzzles.';
+        return;
+      }
+      if (!AI.canPlay(game)) {
+        id('moveState').textContent = 'The computer only plays two player games with one move a turn.';
+      }
+      computerMove(game, view, worker);
     });
     id('recall').addEventListener('click', () => {
-      recallMove(game);
-    });
-
-
-    // game.recallMove();
-    // game.makeMove("03H03e");
-    // console.log(game.toString());
-    // game.makeMove("10H08G");
-    // console.log(game.toString());
-    // game.recallMove();
-    // console.log(game.toString());
-    // game.recallMove();
-    // game.makeMove("10B08C");
-    // console.log(game.toString());
-    // game.makeMove("01i03i");
-    // console.log(game.toString());
-    // game.makeMove("08c06g");  // rejected
-    // game.makeMove("08c06d");  // blocked
-    // game.makeMove("08c09a");  // blocked
-    // console.log(game.toString());
-    // game.makeMove("08c09e");
-    // console.log(game.toString());
-    // game.makeMove("03e04f")
-    // game.makeMove("03e05e");
-    // game.makeMove("03e08e")
-    // game.makeMove("03e03d");
-    // console.log(game.toString());
-    // game.makeMove("08b01b");
-    // console.log(game.toString());
-    // game.makeMove("01f02g");
-    // game.makeMove("01f02f");
-    // game.makeMove("01f09e");
-    // game.makeMove("01f02e");
-    // console.log(game.toString());
-    // game.makeMove("09e07d");
-    // game.makeMove("01a01b");
-    // game.makeMove("10d03e");  // rejected
-    // game.makeMove("10d09c");  // rejected
-    // game.makeMove("10d09e");
-    // console.log(game.toString());
-    // game.makeMove("02e03f");
-    // game.makeMove("09e10d");
-    // game.makeMove("03f04g");
-    // console.log(game.toString());
-    // game.makeMove("01g03e");
-    // console.log(game.toString());
-
-    // game.makeMove("01e02f");
-    // game.makeMove("01e02e");
-    // console.log(game.toString());
-    // game.makeMove("10d09e");
-    // console.log(game.toString());
-    // game.makeMove("02e09e");
-    // game.makeMove("02e10e");
-    // game.makeMove("02e03e");
-    // console.log(game.toString());
-    // game.makeMove("09e08d");
-    // console.log(game.toString());
-    // // game.makeMove("03e10e");
-    // game.makeMove("03e04e");
-    // console.log(game.toString());
-
-    // game.makeMove("04a05b");
-    // game.makeMove("04a04b");
-    // game.makeMove("04a03a");
-    // game.makeMove("04a05a");
-    // console.log(game.toString());
-    // game.makeMove("07i06h");
-    // game.makeMove("07i07h");
-    // game.makeMove("07i08i");
-    // game.makeMove("07i06i");
-    // console.log(game.toString());
-    // game.makeMove("06g06f");
-    // console.log(game.toString());
-    // game.makeMove("05c05d");
-    // console.log(game.toString());
-    // game.makeMove("06f06g");
-    // console.log(game.toString());
-    // game.makeMove("05d05c");
-    // console.log(game.toString());
-    // game.makeMove("06g05g");
-    // game.makeMove("06g07g");
-    // console.log(game.toString());
-    // game.makeMove("05c06c");
-    // game.makeMove("05c04c");
-    // console.log(game.toString());
-
-
+      if (busy()) {
+        return;
+      }
+      if (network) {
+        id('moveState').textContent = 'Moves cannot be taken back in online games.';
+        return;
+      }
+      recallMove(game, view);
+    });
+    id('redo').addEventListener('click', () => {
+      if (busy()) {
+        return;
+      }
+      if (network) {
+        id('moveState').textContent = 'Moves cannot be taken back in online games.';
+        return;
+      }
+      redoMove(game, view);
+    });
+    id('joinRoom').addEventListener('click', () => {
+      leaveModes();
+      try {
+        network = new NetworkGame(game, `ws://${location.host}`, id('room').value, (event, detail) => {
+          if (network.getGame() !== game) {
+            game = network.getGame(); // replaced by a sync
+            watch(game);
+          }
+          id('moveState').textContent = networkMessage(network, event, detail);
+          updateBoard(game, view);
+        });
+        network.connect();
+        id('vsComputer').checked = false;
+      } catch (e) {
+        network = null;
+        id('moveState').textContent = e.message;
+      }
+    });
+    id('resign').addEventListener('click', () => {
+      if (busy()) {
+        return;
+      }
+      let resigned = network ? network.resign() : game.resign(game.getCurrPlayer());
+      id('moveState').textContent = resigned ? 'Resigned.' : 'The game is already over.';
+      updateBoard(game, view);
+    });
+    id('offerDraw').addEventListener('click', () => {
+      if (busy()) {
+        return;
+      }
+      if (network) {
+        network.offerDraw();
+        id('moveState').textContent = 'Draw offered.';
+      } else if (game.agreeDraw()) {
+        updateBoard(game, view);
+      }
+    });
+    id('acceptDraw').addEventListener('click', () => {
+      if (network && network.acceptDraw()) {
+        updateBoard(game, view);
+      } else if (network) {
+        network.declineDraw();
+      }
+    });
+    id('notationStyle').addEventListener('change', () => {
+      if (editor) {
+        showEditor(editor, view);
+      } else if (reviewPly !== null) {
+        reviewAt(reviewPly);
+      } else {
+        updateBoard(game, view);
+      }
+    });
+    id('editPosition').addEventListener('click', () => {
+      try {
+        let next = PositionEditor.fromGame(game);
+        leaveModes();
+        editor = next;
+        view.onSquare = (pos) => {
+          editor.place(pos, parseInt(id('editPiece').value));
+          showEditor(editor, view);
+        };
+        id('editSide').value = String(editor.getSideToMove());
+        showEditor(editor, view);
+      } catch (e) {
+        id('moveState').textContent = e.message;
+      }
+    });
+    id('editSide').addEventListener('change', () => {
+      if (editor) {
+        editor.setSideToMove(parseInt(id('editSide').value));
+        showEditor(editor, view);
+      }
+    });
+    id('clearBoard').addEventListener('click', () => {
+      if (!editor) {
+        id('moveState').textContent = 'Press "Edit position" first.';
+        return;
+      }
+      editor.clear();
+      showEditor(editor, view);
+    });
+    id('playPosition').addEventListener('click', () => {
+      if (!editor) {
+        id('moveState').textContent = 'Press "Edit position" first.';
+        return;
+      }
+      try {
+        game = editor.createGame();
+        watch(game);
+        leaveModes();
+        keep();
+        id('moveState').textContent = 'Position set up!';
+        updateBoard(game, view);
+        computerMove(game, view, worker);
+      } catch (e) {
+        id('moveState').textContent = e.message;
+      }
+    });
+    id('startPuzzle').addEventListener('click', () => {
+      try {
+        let next = new Puzzle(puzzles[parseInt(id('puzzleSelect').value)]);
+        leaveModes();
+        puzzle = next;
+        game = puzzle.getGame();
+        watch(game);
+        id('vsComputer').checked = false;
+        id('moveState').textContent = `Player ${puzzle.getSolver()} to move and mate in ${puzzle.getMateIn()}.`;
+        updateBoard(game, view);
+        showPuzzle(puzzle, solved, puzzles.length);
+      } catch (e) {
+        id('moveState').textContent = (puzzles.length === 0) ? 'No puzzles could be loaded.' : e.message;
+      }
+    });
+    id('puzzleHint').addEventListener('click', () => {
+      if (!puzzle) {
+        id('moveState').textContent = 'Start a puzzle first.';
+        return;
+      }
+      let hint = puzzle.hint();
+      id('moveState').textContent = hint ? `Try ${Notation.format(game.interpretMove(hint), game.getLayout(),
+        notationStyle(game))}.` : 'The puzzle is solved.';
+      showPuzzle(puzzle, solved, puzzles.length);
+    });
+    id('reviewStart').addEventListener('click', () => reviewAt(0));
+    id('reviewBack').addEventListener('click', () => reviewAt(notePly() - 1));
+    id('reviewForward').addEventListener('click', () => reviewAt(notePly() + 1));
+    id('reviewEnd').addEventListener('click', () => reviewAt(game.getPly()));
+    id('reviewClose').addEventListener('click', () => {
+      if (reviewPly !== null) {
+        reviewPly = null;
+        view.enabled = true;
+        id('addVariation').disabled = true;
+        id('reviewState').textContent = '';
+        updateBoard(game, view);
+      }
+    });
+    id('analyse').addEventListener('click', () => {
+      if (!AI.canPlay(game) || game.getPly() === 0) {
+        id('moveState').textContent = 'Only two player games with moves, one move a turn, can be analysed.';
+        return;
+      }
+      let analysed = game;
+      let ply = game.getPly();
+      id('moveState').textContent = 'Analysing the game...';
+      worker.onmessage = (evt) => {
+        if (game !== analysed || game.getPly() !== ply) {
+          return; // the game changed meanwhile
+        }
+        if (evt.data.error) {
+          id('moveState').textContent = `The game cannot be analysed: ${evt.data.error}`;
+          return;
+        }
+        analysis = evt.data.analysis;
+        let flagged = analysis.moves.filter((move) => move.blunder || move.missedCapture).map((move) => move.ply);
+        id('moveState').textContent = (flagged.length > 0) ? `Analysis done. Moves to look at: ${flagged.join(', ')}.` :
+          'Analysis done. No blunders found.';
+        reviewAt(notePly());
+      };
+      worker.postMessage({
+        analyse: true,
+        variant: game.getVariant(),
+        fen: game.getStartFEN(),
+        moves: game.getHistory().slice(0, ply)
+      });
+    });
+    id('saveComment').addEventListener('click', () => {
+      annotations.setComment(notePly(), id('comment').value);
+      showNotes(game, notePly(), annotations);
+      id('moveState').textContent = `Comment saved for move ${notePly()}.`;
+    });
+    id('addVariation').addEventListener('click', () => {
+      if (notePly() >= game.getPly()) {
+        id('moveState').textContent = 'Step back to the position the variation starts from with the review buttons.';
+        return;
+      }
+      try {
+        annotations.addVariation(game, notePly(), id('variation').value.trim().split(/\s+/));
+        id('variation').value = '';
+        showNotes(game, notePly(), annotations);
+        id('moveState').textContent = 'Variation added.';
+      } catch (e) {
+        id('moveState').textContent = e.message;
+      }
+    });
+    id('exportRecord').addEventListener('click', () => {
+      try {
+        id('record').value = GameRecord.exportRecord(game, {}, id('notationStyle').value, annotations);
+      } catch (e) {
+        id('moveState').textContent = e.message;
+      }
+    });
+    id('importRecord').addEventListener('click', () => {
+      try {
+        let record = GameRecord.importRecord(id('record').value);
+        game = record.game;
+        watch(game);
+        leaveModes();
+        keep();
+        annotations = record.annotations;
+        id('moveState').textContent = 'Record loaded!';
+        updateBoard(game, view);
+      } catch (e) {
+        id('moveState').textContent = e.message;
+      }
+    });
+    id('loadFen').addEventListener('click', () => {
+      try {
+        game = Variants[id('variant').value].fromFEN(id('fenInput').value);
+        watch(game);
+        leaveModes();
+        keep();
+        id('moveState').textContent = 'Position loaded!';
+        updateBoard(game, view);
+        computerMove(game, view, worker);
+      } catch (e) {
+        id('moveState').textContent = e.message;
+      }
+    });
   }
 })();
\ No newline at end of file
@@ -0,0 +1,63 @@
+/**
+ *
+ * the computer opponent: evaluation, finding mates & material, and the search limits
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AI } from '../AI.js';
+import { Casual } from '../Casual.js';
+const START = "rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR w - - 0 1";
+// searches the position & checks that the game is put back the way it was
+function search(fen, options) {
+    let game = Casual.fromFEN(fen);
+    let result = new AI(options).search(game);
+    assert.equal(game.toFEN(), fen, "the search takes its moves back");
+    return result;
+}
+describe("evaluation", () => {
+    it("is from the side of the team asked", () => {
+        let ai = new AI();
+        let game = Casual.fromFEN("3k5/9/9/9/9/9/9/9/9/R3K4 w - - 0 1");
+        assert.ok(ai.evaluate(game, 1) > 500, "a rook up");
+        assert.equal(ai.evaluate(game, 2), -ai.evaluate(game, 1));
+    });
+    it("values pawns more once they cross the river", () => {
+        let ai = new AI();
+        let home = Casual.fromFEN("3k5/9/9/9/9/9/4P4/9/9/4K4 w - - 0 1");
+        let crossed = Casual.fromFEN("3k5/9/9/4P4/9/9/9/9/9/4K4 w - - 0 1");
+        assert.ok(ai.evaluate(crossed, 1) > ai.evaluate(home, 1));
+    });
+});
+describe("search", () => {
+    it("finds mate in one & mate in two", () => {
+        let one = search("9/5k3/9/3R5/4R4/9/9/9/3K5/9 w - - 0 1", { depth: 2, timeMs: 10000 });
+        assert.equal(one.move, "07D07F");
+        assert.ok(one.score >= AI.MATE - 100);
+        let two = search("2r2n3/3R5/4k4/9/9/9/9/9/R8/3K5 w - - 0 1", { depth: 4, timeMs: 10000 });
+        assert.equal(two.move, "02A08A");
+        assert.ok(two.score >= AI.MATE - 100);
+    });
+    it("takes a hanging piece but not a defended pawn", () => {
+        assert.equal(search("4k4/9/9/9/9/n8/9/9/9/R2K5 w - - 0 1", { depth: 1, timeMs: 10000 }).move, "01A05A");
+        assert.equal(search("4k4/9/9/p8/9/9/9/9/9/R2K5 w - - 0 1", { depth: 1, timeMs: 10000 }).move, "01A07A");
+        // the black rook takes back: only the capture search (quiescence) sees it at depth 1
+        assert.notEqual(search("r3k4/9/9/p8/9/9/9/9/9/R2K5 w - - 0 1", { depth: 1, timeMs: 10000 }).move, "01A07A");
+    });
+    it("stops at the depth limit", () => {
+        let result = search(START, { depth: 2, timeMs: 60000 });
+        assert.equal(result.depth, 2);
+        assert.ok(result.nodes > 0);
+        assert.equal(Casual.fromFEN(START).makeMove(result.move).ok, true);
+    });
+    it("stops at the time limit with the move of the last full iteration", () => {
+        let started = Date.now();
+        let result = search(START, { depth: 30, timeMs: 100 });
+        assert.ok(Date.now() - started < 2000, "well before a depth 30 search would end");
+        assert.ok(result.depth >= 1 && result.depth < 30);
+        assert.equal(Casual.fromFEN(START).makeMove(result.move).ok, true);
+    });
+    it("has no move once the game is over", () => {
+        let result = search("3k5/4R4/3R5/9/9/9/9/9/9/4K4 b - - 0 1", AI.LEVELS.easy);
+        assert.equal(result.move, null);
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ *
+ * the chess clock with a fake time source: increments, byo-yomi periods, pausing & saving
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Clock } from '../Clock.js';
+describe("clock", () => {
+    it("adds the fischer increment after each move", () => {
+        let time = 0;
+        let clock = new Clock({ baseMs: 1000, incrementMs: 500 }, 2, () => time);
+        clock.start(1);
+        time = 300;
+        clock.switchTo(1, 2);
+        assert.equal(clock.getRemaining(1), 1200);
+        assert.equal(clock.getRunning(), 2);
+        time = 500;
+        assert.equal(clock.getRemaining(2), 800);
+        time = 1600;
+        assert.equal(clock.isFlagged(2), true);
+        clock.switchTo(2, 1);
+        assert.equal(clock.getRemaining(2), 0, "no increment once the time is up");
+    });
+    it("gives a fresh byo-yomi period after each move & uses them up", () => {
+        let time = 0;
+        let clock = new Clock({ baseMs: 1000, periodMs: 300, periods: 2 }, 2, () => time);
+        clock.start(1);
+        time = 1100;
+        assert.equal(clock.isInByoyomi(1), true);
+        assert.equal(clock.getRemaining(1), 200);
+        assert.equal(clock.getPeriods(1), 1);
+        assert.equal(clock.format(1), "00:01 (1)");
+        clock.switchTo(1, 2);
+        assert.equal(clock.getRemaining(1), 300, "the period starts again");
+        assert.equal(clock.getPeriods(1), 1);
+        assert.equal(clock.format(2), "00:01");
+        time = 1200;
+        clock.switchTo(2, 1);
+        time = 1600;
+        assert.equal(clock.getRemaining(1), 200, "going over a period starts the next one");
+        assert.equal(clock.getPeriods(1), 0);
+        assert.equal(clock.isFlagged(1), false);
+        time = 1800;
+        assert.equal(clock.isFlagged(1), true);
+        assert.equal(clock.getRemaining(1), 0);
+    });
+    it("stops while paused", () => {
+        let time = 0;
+        let clock = new Clock({ baseMs: 1000 }, 2, () => time);
+        clock.start(1);
+        time = 200;
+        clock.pause();
+        assert.equal(clock.getRunning(), 0);
+        time = 5000;
+        assert.equal(clock.getRemaining(1), 800);
+        clock.start(1);
+        time = 5100;
+        assert.equal(clock.getRemaining(1), 700);
+        assert.equal(clock.getRemaining(2), 1000);
+    });
+    it("gives no time for a move made while paused", () => {
+        let time = 0;
+        let clock = new Clock({ baseMs: 1000, incrementMs: 500 }, 2, () => time);
+        clock.start(1);
+        time = 100;
+        // a takeback pauses the clock, and the move is played again: over & over
+        for (let i = 0; i < 3; i++) {
+            clock.pause();
+            clock.switchTo(1, 2);
+            clock.pause();
+        }
+        assert.equal(clock.getRemaining(1), 900);
+        assert.equal(clock.getRemaining(2), 1000);
+        clock.start(1);
+        time = 200;
+        clock.switchTo(1, 2);
+        assert.equal(clock.getRemaining(1), 1300, "a running turn still gets the increment");
+        let byoyomi = new Clock({ baseMs: 0, periodMs: 300, periods: 2 }, 2, () => time);
+        byoyomi.start(1);
+        time = 400;
+        byoyomi.pause();
+        byoyomi.switchTo(1, 2);
+        assert.equal(byoyomi.getRemaining(1), 100, "no fresh period either");
+        assert.equal(byoyomi.getPeriods(1), 1);
+    });
+    it("saves the times left & carries on from them paused", () => {
+        let time = 0;
+        let clock = new Clock(Clock.CONTROLS.byoyomi, 2, () => time);
+        clock.start(2);
+        time = 10 * 60000 + 5000;
+        let data = JSON.parse(JSON.stringify(clock.toJSON()));
+        assert.deepEqual(data, {
+            control: { baseMs: 600000, periodMs: 30000, periods: 3 },
+            players: [{ left: 600000, periods: 3, byoyomi: false }, { left: 25000, periods: 2, byoyomi: true }]
+        });
+        assert.equal(clock.getRunning(), 2, "saving doesn't stop the clock");
+        let later = 100000;
+        let copy = Clock.fromJSON(data, () => later);
+        assert.equal(copy.getRunning(), 0);
+        assert.equal(copy.format(2), "00:25 (2)");
+        copy.start(2);
+        later += 26000;
+        assert.equal(copy.getRemaining(2), 29000);
+        assert.equal(copy.getPeriods(2), 1);
+        assert.throws(() => new Clock({ baseMs: 1000, periods: 3 }), /periodMs/);
+    });
+});
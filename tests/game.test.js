@@ -0,0 +1,226 @@
+/**
+ *
+ * game state: history, FEN, how games end, and the rules of the variants
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AbstractGame } from '../AbstractGame.js';
+import { Official } from '../Official.js';
+import { Casual } from '../Casual.js';
+import { DoubleStep } from '../DoubleStep.js';
+import { Clock } from '../Clock.js';
+import { GameRecord } from '../GameRecord.js';
+import { AI } from '../AI.js';
+const START = "rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR w - - 0 1";
+function play(game, moves) {
+    return moves.map((move) => game.makeMove(move));
+}
+describe("history", () => {
+    it("takes back, redoes & jumps between moves", () => {
+        let game = Casual.fromFEN(START);
+        play(game, ["03B03E", "08B08E", "03E07E"]);
+        assert.equal(game.getPly(), 3);
+        assert.equal(game.recallMove(), true);
+        assert.equal(game.getCurrPlayer(), 1);
+        assert.equal(game.redoMove(), true);
+        assert.equal(game.goToPly(0), true);
+        assert.equal(game.toFEN(), START);
+        assert.deepEqual(game.getHistory(), ["03B03E", "08B08E", "03E07E"]);
+        assert.equal(game.makeMove("03H03E").ok, true);
+        assert.deepEqual(game.getHistory(), ["03H03E"], "a new move drops the ones to redo");
+        assert.equal(game.redoMove(), false);
+    });
+    it("is locked in official games until they are over", () => {
+        let game = Official.fromFEN(START);
+        game.makeMove("03B03E");
+        assert.equal(game.recallMove(), false);
+        assert.equal(game.resign(2), true);
+        assert.equal(game.recallMove(), true);
+    });
+    it("is up to each variant", () => {
+        class Bare extends AbstractGame {
+        }
+        Bare._variant = "Bare";
+        let game = Bare.fromFEN(START);
+        game.makeMove("03B03E");
+        assert.throws(() => game.recallMove(), /The Bare variant has to say whether moves can be taken back/);
+        assert.equal(DoubleStep.fromFEN(START).goToPly(0), true);
+    });
+    it("keeps the result of a finished official game while its moves are reviewed", () => {
+        let game = Official.fromFEN(START);
+        ["03B03E", "08B08E"].forEach((move) => game.makeMove(move));
+        game.resign(2);
+        assert.equal(game.recallMove(), true);
+        assert.equal(game.isGameOver(), true);
+        assert.equal(game.getEndReason(), "resignation");
+        assert.equal(game.makeMove("03H03G").rejection.code, "gameOver");
+        assert.equal(game.redoMove(), true);
+        assert.deepEqual(game.getHistory(), ["03B03E", "08B08E"]);
+        let mated = Official.fromFEN("3k5/9/9/9/9/9/9/9/R3R4/4K4 w - - 0 1");
+        mated.makeMove("02A02D");
+        assert.equal(mated.getEndReason(), "checkmate");
+        assert.equal(mated.goToPly(0), true);
+        assert.equal(mated.getWinner(), 1);
+        assert.equal(mated.makeMove("02A03A").ok, false);
+        assert.equal(mated.goToPly(1), true);
+        assert.equal(mated.getEndReason(), "checkmate");
+    });
+});
+describe("FEN", () => {
+    it("round trips with the move counters", () => {
+        let game = Casual.fromFEN(START);
+        play(game, ["03B03E", "08B08E", "03E07E"]);
+        assert.equal(game.toFEN(), "rnbakabnr/9/4c2c1/p1p1C1p1p/9/9/P1P1P1P1P/7C1/9/RNBAKABNR b - - 0 2");
+        assert.equal(game.getStartFEN(), START);
+        assert.equal(Casual.fromFEN(game.toFEN()).toFEN(), game.toFEN());
+    });
+    it("is rejected when broken", () => {
+        assert.throws(() => Casual.fromFEN("rnbakabnr/9 w"), /Invalid FEN/);
+        assert.throws(() => Casual.fromFEN(START.replace("K", "R")), /general/);
+        assert.throws(() => Casual.fromFEN("4k4/9/9/9/9/9/9/9/9/4K4 w - - 0 1"), /generals face each other/);
+        assert.throws(() => Casual.fromFEN("4k4/4R4/9/9/9/9/9/9/9/3K5 w - - 0 1"), /black is in check but it is not their move/);
+        assert.equal(Casual.fromFEN("4k4/4R4/9/9/9/9/9/9/9/3K5 b - - 0 1").getCurrPlayer(), 2, "the side to move can be in check");
+    });
+});
+describe("end of the game", () => {
+    it("comes with checkmate", () => {
+        let game = Casual.fromFEN("3k5/4R4/9/9/9/9/9/9/9/4K4 w - - 0 1");
+        let result = game.makeMove("09E09D");
+        assert.equal(result.ok, true);
+        assert.equal(result.check, true);
+        assert.equal(result.gameOver, false);
+        assert.equal(game.isGameOver(), false);
+        game = Casual.fromFEN("3k5/4R4/3R5/9/9/9/9/9/9/4K4 b - - 0 1");
+        assert.equal(game.getWinner(), 1);
+        assert.equal(game.getEndReason(), "checkmate");
+    });
+    it("comes with stalemate, which loses", () => {
+        let game = Casual.fromFEN("3k5/9/9/9/9/9/9/9/9/R3K4 w - - 0 1");
+        game.makeMove("01A09A");
+        assert.equal(game.getWinner(), 1);
+        assert.equal(game.getEndReason(), "stalemate");
+    });
+    it("comes with resignation or an agreed draw", () => {
+        let game = Casual.fromFEN(START);
+        assert.equal(game.agreeDraw(), true);
+        assert.equal(game.getWinner(), 0);
+        assert.equal(game.resign(1), false);
+    });
+    it("comes after the move limit", () => {
+        let game = Casual.fromFEN("3k5/9/9/9/9/9/9/9/9/R3K4 w - - 118 60");
+        play(game, ["01A02A", "10D09D"]);
+        assert.equal(game.getWinner(), 0);
+        assert.equal(game.getEndReason(), "moveLimit");
+    });
+    it("comes when the time is up", () => {
+        let time = 0;
+        let game = Casual.fromFEN(START);
+        game.setClock(new Clock({ baseMs: 1000, incrementMs: 500 }, 2, () => time));
+        time = 400;
+        game.makeMove("03B03E");
+        assert.equal(game.getClock().getRemaining(1), 1100);
+        time = 1500;
+        assert.equal(game.makeMove("08B08E").rejection.code, "gameOver");
+        assert.equal(game.getWinner(), 1);
+        assert.equal(game.getEndReason(), "timeout");
+    });
+});
+describe("repetition", () => {
+    // the red rook checks from 10A & 09A while the general steps between 10E & 09E
+    const fen = "4k4/8p/9/9/9/R8/9/9/9/3K5 w - - 0 1";
+    const checks = ["05A10A", "10E09E", "10A09A", "09E10E", "09A10A", "10E09E", "10A09A", "09E10E", "09A10A"];
+    it("loses an official game with perpetual check", () => {
+        let game = Official.fromFEN(fen);
+        play(game, checks);
+        assert.equal(game.getWinner(), 2);
+        assert.equal(game.getEndReason(), "perpetualCheck");
+    });
+    it("has to be avoided in a casual game", () => {
+        let game = Casual.fromFEN(fen);
+        assert.equal(play(game, checks).pop().ok, false);
+        assert.equal(game.getLastRejection().code, "forbiddenRepetition");
+        assert.equal(game.isGameOver(), false);
+    });
+    it("loses with perpetual chase", () => {
+        let game = Official.fromFEN("3k5/9/1c7/9/9/R8/9/9/9/5K3 w - - 0 1");
+        play(game, ["05A08A", "08B06B", "08A06A", "06B08B", "06A08A", "08B06B", "08A06A", "06B08B", "06A08A"]);
+        assert.equal(game.getWinner(), 2);
+        assert.equal(game.getEndReason(), "perpetualChase");
+    });
+    it("draws when nobody is to blame", () => {
+        let game = Casual.fromFEN("4k4/9/9/9/8r/R8/9/9/9/3K5 w - - 0 1");
+        play(game, ["05A05B", "06I06H", "05B05A", "06H06I", "05A05B", "06I06H", "05B05A", "06H06I"]);
+        assert.equal(game.getWinner(), 0);
+        assert.equal(game.getEndReason(), "repetition");
+    });
+});
+describe("events", () => {
+    // every event of the game as [name, detail]
+    function record(game) {
+        let events = [];
+        for (let name of ["move", "capture", "check", "undo", "gameOver", "illegalMove"]) {
+            game.on(name, (detail) => events.push([name, detail]));
+        }
+        return events;
+    }
+    it("tell about moves, captures & take backs", () => {
+        let game = Casual.fromFEN(START);
+        let events = record(game);
+        play(game, ["03B03E", "08B08E", "03E07E"]);
+        assert.deepEqual(events.slice(2).map(([name]) => name), ["move", "capture", "check"]);
+        assert.deepEqual(events[3][1], { move: "03E07E", player: 1, ply: 3, captured: 26, check: true, redo: false });
+        game.recallMove();
+        assert.deepEqual(events.pop(), ["undo", { move: "03E07E", player: 1, ply: 2, captured: 26 }]);
+        game.redoMove();
+        assert.equal(events.pop()[1].redo, true);
+    });
+    it("tell about illegal moves & the end of the game", () => {
+        let game = Casual.fromFEN("3k5/9/9/9/9/9/9/9/9/R3K4 w - - 0 1");
+        let events = record(game);
+        let result = game.makeMove("01A01B01");
+        assert.equal(result.ok, false);
+        assert.equal(result.rejection.code, "badNotation");
+        assert.deepEqual(events.pop()[1], { move: "01A01B01", code: "badNotation", message: result.rejection.message });
+        assert.equal(game.refuseMove("01A02A", "notYourTurn").ok, false);
+        assert.deepEqual(events.pop()[1], { move: "01A02A", code: "notYourTurn", message: "It is not your turn" });
+        assert.throws(() => game.refuseMove("01A02A", "tooSlow"), /Unknown rejection/);
+        game.makeMove("01A09A");
+        assert.deepEqual(events.map(([name]) => name), ["move", "gameOver"]);
+        assert.deepEqual(events.pop(), ["gameOver", { winner: 1, reason: "stalemate" }]);
+    });
+    it("stop when unsubscribed", () => {
+        let game = Casual.fromFEN(START);
+        let count = 0;
+        let listener = () => count++;
+        game.on("move", listener);
+        game.makeMove("03B03E");
+        assert.equal(game.off("move", listener), true);
+        assert.equal(game.off("move", listener), false);
+        game.makeMove("08B08E");
+        assert.equal(count, 1);
+        assert.throws(() => game.on("mate", listener), /Unknown event/);
+    });
+});
+describe("double step", () => {
+    it("gives two moves per turn after the first one", () => {
+        let game = DoubleStep.fromFEN(START);
+        game.makeMove("03B03E");
+        assert.equal(game.getCurrPlayer(), 2);
+        game.makeMove("08B08E");
+        assert.equal(game.getCurrPlayer(), 2);
+        game.makeMove("08H08F");
+        assert.equal(game.getCurrPlayer(), 1);
+    });
+    it("numbers whole turns in the FEN & in records, and is not played by the computer", () => {
+        let game = DoubleStep.fromFEN(START);
+        play(game, ["03B03E", "08B08E"]);
+        assert.equal(game.toFEN().split(" ")[5], "1", "black's turn is not over");
+        play(game, ["08H08F", "01A02A", "01I02I", "10A09A"]);
+        assert.equal(game.toFEN().split(" ")[5], "2");
+        let record = GameRecord.exportRecord(game);
+        assert.match(record, /\n1\. b2e2 b7e7 h7f7\n2\. a0a1 i0i1 a9a8\n\*\n$/);
+        assert.deepEqual(GameRecord.importRecord(record).game.getHistory(), game.getHistory());
+        assert.equal(AI.canPlay(game), false);
+        assert.throws(() => new AI().search(game), /one move a turn/);
+    });
+});
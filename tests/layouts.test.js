@@ -0,0 +1,63 @@
+/**
+ *
+ * starting layouts: read from layouts.json on disk, or from a source passed in
+ */
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { AbstractGame } from '../AbstractGame.js';
+import { Official } from '../Official.js';
+import { ThreePlayer } from '../ThreePlayer.js';
+const empty = (rows, cols) => Array.from({ length: rows }, () => new Array(cols).fill(0));
+describe("layouts", () => {
+    afterEach(() => AbstractGame.setLayoutSource(null));
+    it("are read from layouts.json in node", async () => {
+        let layouts = await AbstractGame.loadLayouts();
+        assert.ok(layouts.official);
+        let game = await Official.initialize();
+        assert.equal(game.getLayoutName(), "official");
+        assert.equal(game.giveAllValidMoves().length, 44);
+        let three = await ThreePlayer.initialize("three-player");
+        assert.equal(three.getLayout().length, 19);
+    });
+    it("can come from another source", async () => {
+        let layout = empty(10, 9);
+        layout[0][3] = 27;
+        layout[9][4] = 17;
+        AbstractGame.setLayoutSource(() => ({ kings: layout }));
+        let game = await Official.initialize("kings");
+        assert.equal(game.getLayoutName(), "kings");
+        game.makeMove("01E02E");
+        assert.equal(layout[9][4], 17, "the source's layout is not changed");
+    });
+    it("are checked before a game starts", async () => {
+        AbstractGame.setLayoutSource(() => Promise.resolve({ none: empty(10, 9), short: empty(9, 9) }));
+        await assert.rejects(Official.initialize("missing"), /Unknown layout: missing/);
+        await assert.rejects(Official.initialize("none"), /Layout "none" is not valid/);
+        await assert.rejects(Official.initialize("short"), /must have 10 rows/);
+        AbstractGame.setLayoutSource(() => Promise.reject(new Error("layouts.json: 404")));
+        await assert.rejects(Official.initialize(), /layouts\.json: 404/, "no game without its layout");
+    });
+    it("report the first problem", () => {
+        let layout = empty(10, 9);
+        layout[0][4] = 27;
+        layout[9][4] = 17;
+        assert.doesNotThrow(() => Official.validateLayout(layout));
+        layout[5][1] = 8;
+        assert.throws(() => Official.validateLayout(layout), /Unknown piece code 8 at 05B/);
+        layout[5][1] = 0;
+        layout[9][4] = 0;
+        layout[5][4] = 17;
+        assert.throws(() => Official.validateLayout(layout), /palace/);
+    });
+    it("of the project all load, except the broken examples", async () => {
+        for (let [name, layout] of Object.entries(await AbstractGame.loadLayouts())) {
+            let variant = (name === "three-player") ? ThreePlayer : Official;
+            if (name === "error" || name === "debug") {
+                assert.throws(() => variant.validateLayout(layout));
+            }
+            else {
+                assert.doesNotThrow(() => variant.validateLayout(layout), name);
+            }
+        }
+    });
+});
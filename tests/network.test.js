@@ -0,0 +1,219 @@
+/**
+ *
+ * online games: NetworkGame over a fake WebSocket, and the relay over a real connection
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { NetworkGame } from '../NetworkGame.js';
+import { Casual } from '../Casual.js';
+import { createRelay } from '../server/relay.js';
+const START = "rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR w - - 0 1";
+// stands in for the browser's WebSocket: keeps what is sent, & messages are handed in with receive()
+class FakeSocket {
+    constructor(url) {
+        this.url = url;
+        this.readyState = 1;
+        this.sent = [];
+        FakeSocket.all.push(this);
+    }
+    send(text) {
+        this.sent.push(JSON.parse(text));
+    }
+    close() {
+        this.readyState = 3;
+        this.onclose();
+    }
+    receive(message) {
+        this.onmessage({ data: JSON.stringify(message) });
+    }
+}
+FakeSocket.all = [];
+// a network game in the seat, with the other player in the room. updates collects [event, detail]
+function joined(seat, moves = []) {
+    let game = Casual.fromFEN(START);
+    moves.forEach((move) => game.makeMove(move));
+    let updates = [];
+    let network = new NetworkGame(game, "ws://relay", "room", (event, detail) => updates.push([event, detail]), FakeSocket);
+    network.connect();
+    let socket = FakeSocket.all[FakeSocket.all.length - 1];
+    socket.onopen();
+    socket.receive({ type: "joined", room: "room", seat: seat, peers: [] });
+    socket.sent = [];
+    return { network, socket, updates };
+}
+// the sync message of a game with the moves
+function sync(moves, end = null) {
+    return { type: "sync", variant: "Casual", fen: START, moves: moves, end: end };
+}
+describe("network game", () => {
+    it("joins the room & sends its moves", () => {
+        let { network, socket } = joined(1);
+        assert.equal(socket.url, "ws://relay");
+        assert.equal(network.getSeat(), 1);
+        assert.equal(network.makeMove("03B03E").ok, true);
+        assert.deepEqual(socket.sent, [{ type: "move", move: "03B03E", ply: 0 }]);
+        assert.equal(network.makeMove("08B08E").rejection.code, "notYourTurn");
+        assert.equal(network.getGame().getLastRejection().code, "notYourTurn");
+    });
+    it("asks for a sync instead of playing a move out of order", () => {
+        let { network, socket, updates } = joined(2);
+        socket.receive({ type: "move", move: "08B08E", ply: 1 });
+        assert.equal(network.getGame().getPly(), 0);
+        assert.deepEqual(socket.sent, [{ type: "syncRequest" }]);
+        socket.receive({ type: "move", move: "03B03E", ply: 0 });
+        assert.equal(network.getGame().getPly(), 1);
+        assert.deepEqual(updates.pop(), ["move", { move: "03B03E" }]);
+        assert.equal(network.isMyTurn(), true);
+    });
+    it("refuses an illegal move of the other player", () => {
+        let { network, socket, updates } = joined(2);
+        socket.receive({ type: "move", move: "03B08B", ply: 0 });
+        socket.receive({ type: "move", move: "nonsense", ply: 0 });
+        assert.equal(network.getGame().getPly(), 0);
+        assert.deepEqual(updates.slice(-2).map((update) => update[0]), ["error", "error"]);
+        assert.match(updates[updates.length - 2][1].message, /03B08B is not legal/);
+        assert.deepEqual(socket.sent, [{ type: "syncRequest" }, { type: "syncRequest" }]);
+    });
+    it("takes the longer history, or red's copy when the two differ", () => {
+        // behind: takes the other copy
+        let behind = joined(2, ["03B03E"]);
+        behind.socket.receive(sync(["03B03E", "08B08E", "03H03F"]));
+        assert.deepEqual(behind.network.getGame().getHistory(), ["03B03E", "08B08E", "03H03F"]);
+        assert.equal(behind.updates.pop()[0], "sync");
+        // ahead: sends its own copy back
+        let ahead = joined(2, ["03B03E", "08B08E"]);
+        let game = ahead.network.getGame();
+        ahead.socket.receive(sync(["03B03E"]));
+        assert.equal(ahead.network.getGame(), game);
+        assert.deepEqual(ahead.socket.sent, [sync(["03B03E", "08B08E"])]);
+        // different moves: red keeps its copy & black takes it
+        let red = joined(1, ["03B03E", "08B08E"]);
+        red.socket.receive(sync(["03B03E", "08H08E"]));
+        assert.deepEqual(red.network.getGame().getHistory(), ["03B03E", "08B08E"]);
+        assert.deepEqual(red.socket.sent, [sync(["03B03E", "08B08E"])]);
+        let black = joined(2, ["03B03E", "08H08E"]);
+        black.socket.receive(red.socket.sent[0]);
+        assert.deepEqual(black.network.getGame().getHistory(), ["03B03E", "08B08E"]);
+        // a resignation comes with the moves
+        let resigned = joined(2, ["03B03E"]);
+        resigned.socket.receive(sync(["03B03E"], { reason: "resignation", winner: 2 }));
+        assert.equal(resigned.network.getGame().getEndReason(), "resignation");
+        assert.equal(resigned.network.getGame().getWinner(), 2);
+    });
+    it("passes on resignations & draws", () => {
+        let { network, socket, updates } = joined(1);
+        socket.receive({ type: "drawOffer" });
+        assert.equal(network.acceptDraw(), true);
+        assert.equal(network.getGame().getEndReason(), "agreement");
+        assert.deepEqual(socket.sent, [{ type: "drawAccept" }]);
+        assert.equal(network.acceptDraw(), false);
+        let other = joined(1);
+        other.socket.receive({ type: "resign" });
+        assert.equal(other.network.getGame().getWinner(), 1);
+        assert.deepEqual(other.updates.pop(), ["gameOver", {}]);
+        assert.equal(updates[updates.length - 1][0], "drawOffer");
+    });
+    it("reconnects into the same seat after the connection drops", async () => {
+        let retryMs = NetworkGame.RETRY_MS;
+        NetworkGame.RETRY_MS = 1;
+        try {
+            let { network, socket, updates } = joined(2);
+            let count = FakeSocket.all.length;
+            socket.onclose();
+            assert.deepEqual(updates.pop(), ["disconnected", {}]);
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            assert.equal(FakeSocket.all.length, count + 1);
+            let again = FakeSocket.all[count];
+            again.onopen();
+            assert.deepEqual(again.sent, [{ type: "join", room: "room", seat: 2 }]);
+            network.close();
+            assert.equal(FakeSocket.all.length, count + 1, "no retry after close()");
+        }
+        finally {
+            NetworkGame.RETRY_MS = retryMs;
+        }
+    });
+});
+// a WebSocket client for the relay: masked text frames out, the server's (short, unmasked) frames in
+function connect(port) {
+    return new Promise((resolve, reject) => {
+        let req = http.request({ port: port, headers: { Connection: "Upgrade", Upgrade: "websocket",
+            "Sec-WebSocket-Key": crypto.randomBytes(16).toString("base64"), "Sec-WebSocket-Version": "13" } });
+        req.on("upgrade", (res, socket) => {
+            let messages = [];
+            let waiting = null;
+            let buffer = Buffer.alloc(0);
+            socket.on("data", (data) => {
+                buffer = Buffer.concat([buffer, data]);
+                while (buffer.length >= 2 && buffer.length >= 2 + buffer[1]) {
+                    messages.push(JSON.parse(buffer.subarray(2, 2 + buffer[1]).toString()));
+                    buffer = buffer.subarray(2 + buffer[1]);
+                }
+                if (waiting && messages.length > 0) {
+                    waiting(messages.shift());
+                    waiting = null;
+                }
+            });
+            resolve({
+                send(message) {
+                    let payload = Buffer.from(JSON.stringify(message));
+                    let mask = crypto.randomBytes(4);
+                    let masked = payload.map((byte, i) => byte ^ mask[i % 4]);
+                    socket.write(Buffer.concat([Buffer.from([0x81, 0x80 | payload.length]), mask, masked]));
+                },
+                next() {
+                    return (messages.length > 0) ? Promise.resolve(messages.shift()) : new Promise((done) => {
+                        waiting = done;
+                    });
+                },
+                close() {
+                    socket.end();
+                }
+            });
+        });
+        req.on("error", reject);
+        req.end();
+    });
+}
+describe("relay", () => {
+    it("seats two players in a room & passes their messages on", async () => {
+        let relay = createRelay();
+        await new Promise((resolve) => relay.listen(0, resolve));
+        let port = relay.address().port;
+        let red = await connect(port);
+        let black = await connect(port);
+        try {
+            red.send({ type: "join", room: "abc" });
+            assert.deepEqual(await red.next(), { type: "joined", room: "abc", seat: 1, peers: [] });
+            black.send({ type: "join", room: "abc" });
+            assert.deepEqual(await black.next(), { type: "joined", room: "abc", seat: 2, peers: [1] });
+            assert.deepEqual(await red.next(), { type: "peerJoined", seat: 2 });
+            red.send({ type: "move", move: "03B03E", ply: 0 });
+            assert.deepEqual(await black.next(), { type: "move", move: "03B03E", ply: 0 });
+            // dropped without a close frame: the seat is freed
+            red.close();
+            assert.deepEqual(await black.next(), { type: "peerLeft", seat: 1 });
+            red = await connect(port);
+            red.send({ type: "join", room: "abc", seat: 1 });
+            assert.deepEqual(await red.next(), { type: "joined", room: "abc", seat: 1, peers: [2] });
+            assert.deepEqual(await black.next(), { type: "peerJoined", seat: 1 });
+            black.send({ type: "join", room: "no spaces" });
+            assert.match((await black.next()).message, /Room codes/);
+            let files = [["/", 200], ["/AbstractGame.js", 200], ["/layouts.json", 200],
+                ["/node_modules/three/build/three.module.js", 200], ["/..%2f..%2fetc%2fpasswd", 404], ["/.git/config", 404],
+                ["/package.json", 404], ["/server/relay.js", 404], ["/node_modules/three/package.json", 404]];
+            for (let [path, status] of files) {
+                let page = await new Promise((resolve) => http.get({ port: port, path: path, agent: false }, resolve));
+                page.resume();
+                assert.equal(page.statusCode, status, path);
+            }
+        }
+        finally {
+            red.close();
+            black.close();
+            await new Promise((resolve) => relay.close(resolve));
+        }
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ *
+ * WXF, chinese & ICCS notation: reading & writing moves, tandem pieces and whole games
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Notation } from '../Notation.js';
+import { Casual } from '../Casual.js';
+const START = "rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR w - - 0 1";
+// red rooks on 05E & 03E
+const ROOKS = "5k3/9/9/9/9/4R4/9/4R4/9/3K5 w - - 0 1";
+// red pawns on 07C & 06C, and on 07E, 06E & 05E
+const PAWNS = "5k3/9/9/2P1P4/2P1P4/4P4/9/9/9/3K5 w - - 0 1";
+// black pawns on 06E, 05E & 04E
+const FILE = "4k4/9/9/9/4p4/4p4/4p4/9/9/3K5 b - - 0 1";
+// the move in every style, for the board before it
+function styles(game, notation) {
+    let move = game.interpretMove(notation);
+    return Notation.STYLES.map((style) => Notation.format(move, game.getLayout(), style));
+}
+describe("notation", () => {
+    it("writes moves in every style", () => {
+        let game = Casual.fromFEN(START);
+        assert.deepEqual(styles(game, "03H03E"), ["03H03E", "C2=5", "炮二平五", "h2e2"]);
+        assert.deepEqual(styles(game, "01H03G"), ["01H03G", "H2+3", "马二进三", "h0g2"]);
+        assert.deepEqual(styles(game, "01F02E"), ["01F02E", "A4+5", "仕四进五", "f0e1"]);
+        assert.deepEqual(styles(game, "01I03I"), ["01I03I", "R1+2", "车一进二", "i0i2"]);
+        game.makeMove("03H03E");
+        // black counts files from its own right & writes them full width
+        assert.deepEqual(styles(game, "10H08G"), ["10H08G", "H8+7", "马８进７", "h9g7"]);
+        assert.deepEqual(styles(game, "10C08E"), ["10C08E", "E3+5", "象３进５", "c9e7"]);
+        assert.throws(() => Notation.format(game.interpretMove("10H08G"), game.getLayout(), "pgn"), /Unknown notation style: pgn/);
+    });
+    it("reads every style for the player to move", () => {
+        let game = Casual.fromFEN(START);
+        let move = game.interpretMove("03H03E");
+        for (let str of ["03h03e", "C2=5", "c2.5", "C2 = 5", "炮二平五", "h2e2", "H2-E2"]) {
+            assert.deepEqual(Notation.parse(str, game), move, str);
+        }
+        assert.deepEqual(Notation.parse("N2+3", game), game.interpretMove("01H03G"));
+        game.makeMove("03H03E");
+        for (let str of ["H8+7", "马８进７", "馬8進7"]) {
+            assert.deepEqual(Notation.parse(str, game), game.interpretMove("10H08G"), str);
+        }
+        assert.equal(Notation.detectStyle(" 03B03E "), "internal");
+        assert.equal(Notation.detectStyle("前车平六"), "chinese");
+    });
+    it("tells tandem pieces apart", () => {
+        let rooks = Casual.fromFEN(ROOKS);
+        assert.deepEqual(styles(rooks, "05E05D").slice(1, 3), ["+R=6", "前车平六"]);
+        assert.deepEqual(styles(rooks, "03E01E").slice(1, 3), ["-R-2", "后车退二"]);
+        assert.deepEqual(Notation.parse("R+=6", rooks), rooks.interpretMove("05E05D"));
+        assert.deepEqual(Notation.parse("后车平六", rooks), rooks.interpretMove("03E03D"));
+        let file = Casual.fromFEN(FILE);
+        assert.deepEqual(styles(file, "04E03E").slice(1, 3), ["+P+1", "前卒进１"]);
+        assert.deepEqual(styles(file, "05E05F").slice(1, 3), ["=P=6", "中卒平６"]);
+        assert.deepEqual(Notation.parse("中卒平4", file), file.interpretMove("05E05D"));
+        // pawns on two files: front to back, the right file first
+        let pawns = Casual.fromFEN(PAWNS);
+        let numbers = ["07E07D", "06E06F", "07C08C", "06C06B"].map((move) => styles(pawns, move).slice(1, 3));
+        assert.deepEqual(numbers, [["1P=6", "一兵平六"], ["2P=4", "二兵平四"], ["4P+1", "四兵进一"], ["5P=8", "五兵平八"]]);
+        assert.deepEqual(Notation.parse("二兵平六", pawns), pawns.interpretMove("06E06D"));
+    });
+    it("refuses moves it can't pin down", () => {
+        let game = Casual.fromFEN(START);
+        assert.throws(() => Notation.parse("", game), /Unable to understand notation/);
+        assert.throws(() => Notation.parse("炮二到五", game), /Unable to understand notation: 炮二到五/);
+        assert.throws(() => Notation.parse("R1=2", game), /No legal move matches R1=2/, "the horse is in the way");
+        assert.throws(() => Notation.parse("兵五进二", game), /No legal move matches 兵五进二/);
+        // a tandem piece needs its marker
+        assert.throws(() => Notation.parse("R5=6", Casual.fromFEN(ROOKS)), /No legal move matches R5=6/);
+        // elephants on 01C & 03C: both step forward to file 5
+        let elephants = Casual.fromFEN("5k3/9/9/9/9/9/9/2B6/9/2B1K4 w - - 0 1");
+        assert.throws(() => Notation.parse("E7+5", elephants), /Ambiguous notation: E7\+5/);
+    });
+    it("writes the history & lines from the current position", () => {
+        let game = Casual.fromFEN(START);
+        ["03H03E", "10H08G", "01H03G"].forEach((move) => game.makeMove(move));
+        game.recallMove();
+        assert.deepEqual(Notation.formatHistory(game, "wxf"), ["C2=5", "H8+7", "H2+3"], "moves to redo are included");
+        assert.deepEqual(Notation.formatHistory(game, "chinese"), ["炮二平五", "马８进７", "马二进三"]);
+        assert.deepEqual(Notation.formatHistory(game, "internal"), ["03H03E", "10H08G", "01H03G"]);
+        assert.deepEqual(Notation.formatLine(game, ["01B03C", "10B08C"], "wxf"), ["H8+7", "H2+3"]);
+        assert.deepEqual(Notation.formatLine(game, ["01B03C", "10B08C"], "iccs"), ["b0c2", "b9c7"]);
+        assert.equal(game.getPly(), 2, "the game is not changed");
+        assert.equal(game.getHistory().length, 3);
+    });
+});
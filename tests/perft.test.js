@@ -0,0 +1,37 @@
+/**
+ *
+ * perft: counts the leaf positions of the move tree to a given depth. The counts from the start are the
+ *   well known ones; the small positions are counted by hand.
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Casual } from '../Casual.js';
+function perft(game, depth) {
+    let moves = game.giveAllValidMoves();
+    if (depth === 1) {
+        return moves.length;
+    }
+    let count = 0;
+    for (let move of moves) {
+        assert.equal(game.makeMove(move).ok, true, move);
+        count += game.isGameOver() ? 0 : perft(game, depth - 1);
+        game.recallMove();
+    }
+    return count;
+}
+describe("perft", () => {
+    it("counts 44, 1920 & 79666 from the start", () => {
+        let game = Casual.fromFEN("rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR w - - 0 1");
+        assert.equal(perft(game, 1), 44);
+        assert.equal(perft(game, 2), 1920);
+        assert.equal(perft(game, 3), 79666);
+        assert.equal(game.getPly(), 0);
+    });
+    it("counts a rook & the generals", () => {
+        // rook: 9 up the file & 3 along the rank. general: 02E & 01F, 01D would face the other one
+        assert.equal(perft(Casual.fromFEN("3k5/9/9/9/9/9/9/9/9/R3K4 w - - 0 1"), 1), 14);
+    });
+    it("counts nothing for a mated side", () => {
+        assert.equal(perft(Casual.fromFEN("3k5/4R4/3R5/9/9/9/9/9/9/4K4 b - - 0 1"), 1), 0);
+    });
+});
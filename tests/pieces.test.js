@@ -0,0 +1,113 @@
+/**
+ *
+ * the moves of every piece, with the reason a wrong one is refused (see AbstractGame.REJECTIONS).
+ *   Positions are given as FEN; moves in the "03B03E" format (row 01-10 from red's side, column A-I).
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Casual } from '../Casual.js';
+const START = "rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR w - - 0 1";
+// makes the move on a fresh game & returns the rejection code, "" if the move was made
+function tryMove(fen, move) {
+    let game = Casual.fromFEN(fen);
+    let result = game.makeMove(move);
+    let rejection = game.getLastRejection();
+    assert.deepEqual(result.rejection, rejection, `the result & rejection disagree for ${move}`);
+    return (rejection === null) ? "" : rejection.code;
+}
+function assertMoves(fen, cases) {
+    for (let [move, code] of cases) {
+        assert.equal(tryMove(fen, move), code, move);
+    }
+}
+describe("rook", () => {
+    it("moves any distance in a straight line", () => {
+        assertMoves(START, [["01A02A", ""], ["01A03A", ""]]);
+    });
+    it("cannot jump or turn", () => {
+        assertMoves(START, [["01A05A", "pathBlocked"], ["01A02B", "notStraight"]]);
+    });
+    it("takes enemy pieces, not its own", () => {
+        assertMoves("3k5/9/9/9/p8/9/9/9/9/R3K4 w - - 0 1", [["01A06A", ""], ["01A07A", "pathBlocked"]]);
+        assertMoves(START, [["01A01B", "ownPiece"]]);
+    });
+});
+describe("horse", () => {
+    it("moves one step straight & one diagonally", () => {
+        assertMoves(START, [["01B03C", ""], ["01B03A", ""], ["01B02B", "notHorseMove"]]);
+    });
+    it("is stopped by a piece on its leg", () => {
+        assertMoves(START, [["01B02D", "horseLegBlocked"]]);
+        assertMoves("3k5/9/9/9/9/9/9/9/9/1N2K4 w - - 0 1", [["01B02D", ""]]);
+    });
+});
+describe("elephant", () => {
+    it("moves two steps diagonally", () => {
+        assertMoves(START, [["01C03E", ""], ["01C03A", ""], ["01C02D", "notElephantMove"]]);
+    });
+    it("is stopped by a piece on its eye", () => {
+        assertMoves("5k3/9/9/9/9/9/9/9/3P5/2B1K4 w - - 0 1", [["01C03E", "elephantEyeBlocked"]]);
+    });
+    it("cannot cross the river", () => {
+        assertMoves("3k5/9/9/9/9/2B6/9/9/9/4K4 w - - 0 1", [["05C07E", "crossedRiver"]]);
+        assertMoves("3k5/9/9/9/2b6/9/9/9/9/4K4 b - - 0 1", [["06C04A", "crossedRiver"], ["06C08A", ""]]);
+    });
+});
+describe("guard", () => {
+    it("moves one step diagonally in the palace", () => {
+        assertMoves(START, [["01D02E", ""], ["01D02C", "leftPalace"]]);
+        assertMoves("5k3/9/9/9/9/9/9/9/9/3AK4 w - - 0 1", [["01D02D", "notGuardMove"]]);
+    });
+});
+describe("general", () => {
+    it("moves one step straight in the palace", () => {
+        assertMoves(START, [["01E02E", ""], ["01E01D", "ownPiece"]]);
+        assertMoves("5k3/9/9/9/9/9/9/9/9/4K4 w - - 0 1", [["01E01D", ""], ["01E02D", "notKingMove"], ["01E03E", "notKingMove"]]);
+        assertMoves("3k5/9/9/9/9/9/9/4K4/9/9 w - - 0 1", [["03E04E", "leftPalace"]]);
+    });
+    it("cannot face the other general on an open file", () => {
+        assertMoves("3k5/9/9/9/9/9/9/9/9/4K4 w - - 0 1", [["01E01D", "leavesKingInCheck"], ["01E01F", ""]]);
+        assertMoves("4k4/9/9/9/9/9/9/9/4A4/3K5 w - - 0 1", [["02E03F", ""]]);
+        assertMoves("4k4/9/9/9/9/9/9/9/4A4/4K4 w - - 0 1", [["02E03F", "leavesKingInCheck"]]);
+    });
+});
+describe("cannon", () => {
+    it("moves like a rook without taking", () => {
+        assertMoves(START, [["03B03E", ""], ["03B07B", ""], ["03B09B", "pathBlocked"], ["03B02C", "notStraight"]]);
+    });
+    it("takes by jumping over exactly one piece", () => {
+        assertMoves(START, [["03B10B", ""], ["03B08B", "cannonScreen"]]);
+        assertMoves("5k3/9/9/9/9/9/9/9/9/C1p1K4 w - - 0 1", [["01A01C", "cannonScreen"]]);
+        assertMoves("c2k5/p8/p8/9/9/9/9/9/9/C3K4 w - - 0 1", [["01A10A", "cannonScreen"], ["01A09A", ""]]);
+    });
+});
+describe("pawn", () => {
+    it("moves one step forward before the river", () => {
+        assertMoves(START, [["04A05A", ""], ["04A06A", "notPawnMove"], ["04A03A", "notPawnMove"], ["04A04B", "pawnNotCrossed"]]);
+    });
+    it("also moves sideways once across the river, never back", () => {
+        let fen = "3k5/9/9/9/4P4/9/9/9/9/4K4 w - - 0 1";
+        assertMoves(fen, [["06E07E", ""], ["06E06D", ""], ["06E06F", ""], ["06E05E", "notPawnMove"]]);
+    });
+    it("moves down the board for black", () => {
+        assertMoves("3k5/9/9/p8/9/9/9/9/9/4K4 b - - 0 1", [["07A06A", ""], ["07A08A", "notPawnMove"]]);
+    });
+});
+describe("any move", () => {
+    it("needs a piece of the player to move", () => {
+        assertMoves(START, [["07A06A", "wrongOwner"], ["05E06E", "emptySquare"], ["01A01A", "noMove"]]);
+    });
+    it("needs to be understood", () => {
+        assertMoves(START, [["zz", "badNotation"], ["11A01A", "badNotation"]]);
+    });
+    it("cannot leave the general in check", () => {
+        assertMoves("3k5/9/9/9/9/9/9/9/9/r3K4 w - - 0 1", [["01E02E", ""], ["01E01D", "leavesKingInCheck"]]);
+    });
+    it("is not accepted after the game is over", () => {
+        let game = Casual.fromFEN("3k5/4R4/3R5/9/9/9/9/9/9/4K4 b - - 0 1");
+        assert.equal(game.isGameOver(), true);
+        assert.equal(game.getEndReason(), "checkmate");
+        assert.equal(game.makeMove("10D10E").ok, false);
+        assert.equal(game.getLastRejection().code, "gameOver");
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ *
+ * the position editor & "mate in N" puzzles
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PositionEditor } from '../PositionEditor.js';
+import { Puzzle } from '../Puzzle.js';
+import { Casual } from '../Casual.js';
+import { ThreePlayer } from '../ThreePlayer.js';
+const START = "rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR w - - 0 1";
+describe("position editor", () => {
+    it("places & removes pieces, then starts a game", () => {
+        let editor = new PositionEditor();
+        assert.match(editor.validate()[0], /exactly one general/);
+        editor.place("10D", 27);
+        editor.place("01E", 17);
+        editor.place("03A", 11);
+        editor.place("03B", 16);
+        editor.remove("03B");
+        assert.equal(editor.pieceAt("03B"), 0);
+        editor.setSideToMove(2);
+        assert.deepEqual(editor.validate(), []);
+        let game = editor.createGame();
+        assert.equal(game.toFEN(), "3k5/9/9/9/9/9/9/R8/9/4K4 b - - 0 1");
+        assert.equal(game.getVariant(), "Casual");
+        assert.throws(() => editor.place("11A", 11), /Unable to understand position/);
+        assert.throws(() => editor.place("01A", 31), /Unknown piece code 31/);
+        assert.throws(() => new PositionEditor(ThreePlayer), /two player/);
+    });
+    it("finds illegal positions", () => {
+        assert.deepEqual(PositionEditor.fromGame(Casual.fromFEN(START)).validate(), []);
+        let editor = PositionEditor.fromGame(Casual.fromFEN("3k5/9/9/9/9/9/9/9/9/R3K3R w"));
+        editor.place("05E", 15); // elephant between its points
+        editor.place("03A", 16); // pawn behind its starting row
+        editor.place("02D", 14); // guard off the palace points
+        editor.place("02C", 11); // a third rook
+        assert.deepEqual(editor.validate(), [
+            "Piece 15 at 05E can never get to that square",
+            "Piece 16 at 03A can never get to that square",
+            "Piece 14 at 02D can never get to that square",
+            "Player 1 has 3 pieces of type R, more than 2"
+        ]);
+        editor.clear();
+        editor.place("10E", 27);
+        editor.place("01E", 17);
+        assert.deepEqual(editor.validate(), ["The generals face each other"]);
+        editor.place("05E", 11);
+        assert.match(editor.validate()[0], /Player 2 is in check but it is player 1's turn/);
+        assert.throws(() => editor.createGame(), /The position is not legal: Player 2 is in check/);
+        editor.setSideToMove(2);
+        assert.equal(editor.createGame().getCurrPlayer(), 2);
+    });
+});
+describe("puzzles", () => {
+    it("in puzzles.json all work", async () => {
+        let puzzles = await Puzzle.loadPuzzles();
+        assert.ok(puzzles.length > 0);
+        for (let puzzle of puzzles) {
+            Puzzle.check(puzzle);
+        }
+    });
+    it("accept only the solution & answer it", () => {
+        let puzzle = new Puzzle({ name: "ladder", fen: "2r2n3/3R5/4k4/9/9/9/9/9/R8/3K5 w - - 0 1",
+            mateIn: 2, solution: ["02A08A", "10C08C", "08A08C"] });
+        assert.equal(puzzle.getSolver(), 1);
+        assert.deepEqual(puzzle.play("02A03A"), { correct: false, legal: true, reply: null, solved: false });
+        assert.equal(puzzle.play("02A03B").legal, false);
+        for (let garbage of ["xx", "", "02A"]) {
+            assert.deepEqual(puzzle.play(garbage), { correct: false, legal: false, reply: null, solved: false });
+            assert.equal(puzzle.getGame().getLastRejection().code, "badNotation");
+        }
+        assert.deepEqual(puzzle.play("02a08a"), { correct: true, legal: true, reply: "10C08C", solved: false });
+        assert.equal(puzzle.getGame().recallMove(), false, "no takebacks during the puzzle");
+        assert.equal(puzzle.hint(), "08A08C");
+        assert.equal(puzzle.play("08A08C").solved, true);
+        assert.equal(puzzle.getGame().getEndReason(), "checkmate");
+        assert.deepEqual(puzzle.getProgress(), { done: 2, total: 2, mistakes: 1, hints: 1, solved: true });
+        assert.equal(puzzle.hint(), null);
+    });
+    it("are checked", () => {
+        let fen = "2r2n3/3R5/4k4/9/9/9/9/9/R8/3K5 w - - 0 1";
+        assert.throws(() => new Puzzle({ name: "x", fen: fen, mateIn: 2, solution: ["02A08A"] }), /needs mateIn/);
+        assert.throws(() => new Puzzle({ name: "x", fen: fen, mateIn: 1, solution: ["02A03A"] }), /doesn't end in mate/);
+        assert.throws(() => new Puzzle({ name: "x", fen: fen, mateIn: 1, solution: ["02A03B"] }), /Move 1 \(02A03B\)/);
+    });
+});
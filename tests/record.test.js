@@ -0,0 +1,94 @@
+/**
+ *
+ * game records with annotations, and the analysis of played games
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameRecord } from '../GameRecord.js';
+import { Annotations } from '../Annotations.js';
+import { Analysis } from '../Analysis.js';
+import { Official } from '../Official.js';
+import { Casual } from '../Casual.js';
+const START = "rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR w - - 0 1";
+describe("annotations", () => {
+    it("are saved in the record & read back", () => {
+        let game = Official.fromFEN(START);
+        ["03B03E", "08H08E", "01B03C"].forEach((move) => game.makeMove(move));
+        let annotations = new Annotations();
+        annotations.setComment(0, "a {quiet}  game");
+        annotations.setComment(1, "central cannon");
+        assert.deepEqual(annotations.addVariation(game, 0, ["C2=5", "h9g7"]), ["03H03E", "10H08G"]);
+        let text = GameRecord.exportRecord(game, {}, "iccs", annotations);
+        assert.match(text, /\n\{a quiet game\}\n1\. b2e2 \{central cannon\} \(1\. h2e2 h9g7\)\n1\. \.\.\. h7e7\n2\. b0c2\n/);
+        let record = GameRecord.importRecord(text);
+        assert.deepEqual(record.game.getHistory(), game.getHistory());
+        assert.deepEqual(record.annotations.getPlies(), [0, 1]);
+        assert.equal(record.annotations.getComment(1), "central cannon");
+        assert.deepEqual(record.annotations.getVariations(0), [["03H03E", "10H08G"]]);
+        assert.equal(GameRecord.exportRecord(game, {}, "iccs"), GameRecord.exportRecord(game, {}, "iccs", new Annotations()));
+    });
+    it("only take legal variations", () => {
+        let game = Casual.fromFEN(START);
+        game.makeMove("03B03E");
+        let annotations = new Annotations();
+        assert.throws(() => annotations.addVariation(game, 1, ["h9g7"]), /replaces a played move/);
+        assert.throws(() => annotations.addVariation(game, 0, ["h2e2", "h2e2"]), /Move 2 \(h2e2\) of the variation is not accepted/);
+        assert.equal(annotations.isEmpty(), true);
+        let text = "1. b2e2 (1. h2e2 (1. c3c4) {nested} h9g7) {ok} h9g7 (1. ... b9c7)";
+        let record = GameRecord.importRecord(text);
+        assert.deepEqual(record.annotations.getVariations(0), [["03H03E", "10H08G"]]);
+        assert.deepEqual(record.annotations.getVariations(1), [["10B08C"]]);
+        assert.equal(record.annotations.getComment(1), "ok");
+        assert.throws(() => GameRecord.importRecord("1. b2e2 (1. h2e2"), /not closed/);
+        assert.throws(() => GameRecord.importRecord("(1. h2e2) 1. b2e2"), /variation after move 0/);
+    });
+});
+describe("records", () => {
+    it("end the game with the Result tag when the moves don't", () => {
+        let game = Official.fromFEN(START);
+        game.makeMove("03B03E");
+        game.resign(2);
+        let record = GameRecord.importRecord(GameRecord.exportRecord(game, { Layout: "official" }));
+        assert.equal(record.game.getWinner(), 1);
+        assert.equal(record.game.getEndReason(), "resignation");
+        assert.equal(record.game.getLayoutName(), "official");
+        assert.equal(record.game.goToPly(0), true, "a finished official game can be reviewed");
+        let drawn = GameRecord.importRecord(`[Result "1/2-1/2"]\n\n1. b2e2 h7e7\n1/2-1/2\n`).game;
+        assert.equal(drawn.getEndReason(), "agreement");
+        let open = GameRecord.importRecord(`[Result "*"]\n\n1. b2e2\n*\n`).game;
+        assert.equal(open.isGameOver(), false);
+        let mated = GameRecord.importRecord(`[FEN "3k5/9/9/9/9/9/9/9/R3R4/4K4 w - - 0 1"]\n[Result "0-1"]\n\n1. a1d1\n`).game;
+        assert.equal(mated.getWinner(), 1, "the moves decide over the tag");
+        assert.equal(mated.getEndReason(), "checkmate");
+    });
+});
+describe("analysis", () => {
+    it("scores every position & flags blunders and missed captures", () => {
+        let game = Casual.fromFEN("3k5/9/9/9/9/9/4r4/9/4R4/5K3 w - - 0 1");
+        game.makeMove("02E02A"); // leaves the rook that could be taken
+        game.makeMove("04E04A"); // puts the rook en prise
+        let analysis = new Analysis().analyse(game);
+        assert.equal(analysis.evals.length, 3);
+        assert.ok(analysis.evals[0] > 300, "red is a rook up with the capture");
+        let [first, second] = analysis.moves;
+        assert.equal(first.best, "02E04E");
+        assert.equal(first.missedCapture, "02E04E");
+        assert.equal(first.blunder, true);
+        assert.equal(second.blunder, true);
+        assert.equal(second.missedCapture, null);
+        assert.equal(game.getPly(), 2, "the game is not changed");
+    });
+    it("works on copies of earlier positions", () => {
+        let game = Official.fromFEN(START);
+        game.makeMove("03B03E");
+        game.makeMove("08H08E");
+        let copy = game.copyAt(1);
+        assert.equal(copy.getCurrPlayer(), 2);
+        assert.equal(copy.getVariant(), "Official");
+        assert.deepEqual(copy.getHistory(), ["03B03E"]);
+        assert.equal(game.getPly(), 2);
+        assert.throws(() => game.copyAt(3), /No position after move 3/);
+        let moves = new Analysis().analyse(Official.fromFEN(START)).moves;
+        assert.deepEqual(moves, []);
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ *
+ * saving games & carrying them on after a reload
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameStore } from '../GameStore.js';
+import { Official } from '../Official.js';
+import { Casual } from '../Casual.js';
+import { Clock } from '../Clock.js';
+const START = "rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR w - - 0 1";
+// stands in for localStorage
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+describe("game store", () => {
+    it("saves a tracked game after every move & restores it", () => {
+        let store = new GameStore(new MemoryStorage());
+        let game = Casual.fromFEN(START);
+        let id = store.track(game, () => ({ difficulty: "hard" }));
+        assert.deepEqual(store.list(), [], "nothing is saved before the first move");
+        ["03B03E", "08B08E", "03E07E"].forEach((move) => game.makeMove(move));
+        game.recallMove();
+        let entry = store.get(id);
+        assert.deepEqual(entry.moves, ["03B03E", "08B08E", "03E07E"]);
+        assert.equal(entry.ply, 2);
+        assert.equal(entry.result, "*");
+        assert.deepEqual(entry.settings, { difficulty: "hard" });
+        let restored = GameStore.restore(entry);
+        assert.equal(restored.toFEN(), game.toFEN());
+        assert.equal(restored.redoMove(), true);
+        store.untrack();
+        game.makeMove("03E07E");
+        assert.equal(store.get(id).ply, 2, "an untracked game is not saved");
+    });
+    it("keeps how the game ended & the time left", () => {
+        let time = 0;
+        let store = new GameStore(new MemoryStorage(), "games", () => time);
+        let game = Official.fromFEN(START);
+        game.setClock(new Clock({ baseMs: 60000 }, 2, () => time));
+        let id = store.track(game);
+        time = 5000;
+        game.makeMove("03B03E");
+        assert.equal(store.getUnfinished().length, 1);
+        game.resign(2);
+        let entry = store.get(id);
+        assert.equal(entry.result, "1-0");
+        assert.deepEqual(entry.end, { reason: "resignation", winner: 1 });
+        assert.deepEqual(store.getUnfinished(), []);
+        let restored = GameStore.restore(entry);
+        assert.equal(restored.getEndReason(), "resignation");
+        assert.equal(restored.getClock().getRemaining(1), 55000);
+    });
+    it("restores how a game ended, also while its moves are reviewed", () => {
+        let time = 0;
+        let store = new GameStore(new MemoryStorage());
+        let game = Official.fromFEN(START);
+        game.setClock(new Clock({ baseMs: 1000 }, 2, () => time));
+        let id = store.track(game);
+        ["03B03E", "08B08E"].forEach((move) => game.makeMove(move));
+        time = 2000;
+        assert.equal(game.checkTime(), true);
+        game.goToPly(1);
+        let restored = GameStore.restore(store.get(id));
+        assert.equal(restored.getPly(), 1);
+        assert.equal(restored.getWinner(), 2);
+        assert.equal(restored.getEndReason(), "timeout");
+        assert.equal(restored.getClock().isFlagged(1), true);
+        assert.equal(restored.goToPly(2), true, "the finished game can be reviewed");
+        let drawn = Casual.fromFEN(START);
+        drawn.makeMove("03B03E");
+        drawn.agreeDraw();
+        assert.equal(GameStore.restore(store.get(store.save(drawn))).getEndReason(), "agreement");
+    });
+    it("lists the latest games first & removes them", () => {
+        let time = 0;
+        let store = new GameStore(new MemoryStorage(), "games", () => time++);
+        let first = store.save(Casual.fromFEN(START));
+        let second = store.save(Casual.fromFEN(START));
+        assert.deepEqual(store.list().map((entry) => entry.id), [second, first]);
+        store.save(Casual.fromFEN(START), {}, first);
+        assert.deepEqual(store.list().map((entry) => entry.id), [first, second]);
+        assert.equal(store.remove(first), true);
+        assert.equal(store.remove(first), false);
+        assert.throws(() => GameStore.restore(Object.assign(store.get(second), { moves: ["03B03E", "03B03E"] })),
+            /Move 2 \(03B03E\) of the saved game is not accepted/);
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ *
+ * the three player variant: turns, players dropping out & the end of the game
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ThreePlayer } from '../ThreePlayer.js';
+// an empty three player board with the pieces at the squares ("03B" format)
+function board(pieces) {
+    let layout = Array.from({ length: 19 }, () => new Array(14).fill(0));
+    for (let [square, code] of Object.entries(pieces)) {
+        layout[19 - parseInt(square.substring(0, 2))][square.charCodeAt(2) - 65] = code;
+    }
+    return new ThreePlayer(layout);
+}
+// player 3's general on 10A, player 1's rooks on rows 9, 11 & 12. 12M10M mates it
+const MATE = { "01I": 17, "19K": 27, "10A": 37, "09N": 11, "11N": 11, "12M": 11 };
+// player 1's rook checks player 3's general from 10M & 09M while the generals of 2 & 3 step back and forth
+const CHECKS = { "01I": 17, "19K": 27, "10A": 37, "09M": 11 };
+const CYCLE = ["09M10M", "19K19J", "10A09A", "10M09M", "19J19K", "09A10A"];
+// plays the first legal move of the player to move
+function playAny(game) {
+    return game.makeMove(game.giveAllValidMoves()[0]);
+}
+describe("three players", () => {
+    it("take turns 1, 2, 3", async () => {
+        let game = await ThreePlayer.initialize("three-player");
+        let players = [];
+        for (let i = 0; i < 4; i++) {
+            players.push(game.getCurrPlayer());
+            playAny(game);
+        }
+        assert.deepEqual(players, [1, 2, 3, 1]);
+        assert.throws(() => game.toFEN(), /two player/);
+    });
+    it("skips a player who resigned, also after takebacks", async () => {
+        let game = await ThreePlayer.initialize("three-player");
+        playAny(game);
+        playAny(game);
+        assert.equal(game.resign(3), true);
+        assert.equal(game.resign(3), false);
+        assert.deepEqual(game.getEliminated(), [3]);
+        assert.equal(game.getCurrPlayer(), 1);
+        assert.equal(game.isGameOver(), false);
+        playAny(game);
+        assert.equal(game.getCurrPlayer(), 2);
+        assert.equal(game.recallMove(), true);
+        assert.equal(game.recallMove(), true);
+        assert.deepEqual(game.getEliminated(), [3], "taking moves back doesn't undo the resignation");
+        assert.equal(game.getCurrPlayer(), 2);
+        assert.equal(game.recallMove(), true);
+        assert.equal(game.getCurrPlayer(), 1);
+        assert.equal(game.redoMove(), true);
+        assert.equal(game.getCurrPlayer(), 2);
+    });
+    it("drops a mated player on their turn & ends when one player is left", () => {
+        let game = board(MATE);
+        let result = game.makeMove("12M10M");
+        assert.equal(result.check, true);
+        assert.equal(game.getCurrPlayer(), 2);
+        game.makeMove("19K19J");
+        assert.deepEqual(game.getEliminated(), [3]);
+        assert.equal(game.getCurrPlayer(), 1, "player 3 has no move & is out");
+        assert.equal(game.isGameOver(), false);
+        game.recallMove();
+        assert.deepEqual(game.getEliminated(), [], "a takeback brings a mated player back");
+        game.redoMove();
+        assert.equal(game.resign(2), true);
+        assert.equal(game.getWinner(), 1);
+        assert.equal(game.getEndReason(), "resignation");
+        assert.equal(game.makeMove("09N08N").rejection.code, "gameOver");
+        // player 3 wasn't mated before player 2's move
+        assert.equal(game.recallMove(), true);
+        assert.deepEqual(game.getEliminated(), [2]);
+        assert.equal(game.getCurrPlayer(), 3);
+        assert.equal(game.isGameOver(), false);
+        assert.equal(game.redoMove(), false, "player 2's move can't be played again");
+    });
+    it("blames perpetual check on the player giving it", () => {
+        let game = board(CHECKS);
+        let results = [...CYCLE, ...CYCLE, CYCLE[0]].map((move) => game.makeMove(move));
+        assert.deepEqual(results.map((result) => result.check), [true, false, false, true, false, false, true, false, false,
+            true, false, false, false]);
+        assert.equal(results.pop().rejection.code, "forbiddenRepetition");
+        // where the repetition loses, only the offender is out
+        class Strict extends ThreePlayer {
+            _forbiddenRepetitionLoses() {
+                return true;
+            }
+        }
+        let strict = new Strict(board(CHECKS).getLayout());
+        [...CYCLE, ...CYCLE, CYCLE[0]].forEach((move) => strict.makeMove(move));
+        assert.deepEqual(strict.getEliminated(), [1]);
+        assert.equal(strict.isGameOver(), false);
+        assert.equal(strict.getCurrPlayer(), 2);
+    });
+});
@@ -0,0 +1,51 @@
+/**
+ *
+ * UCCI: the client against the project's own engine (server/ucci-engine.js) in a child process
+ */
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { UcciClient } from '../server/UcciClient.js';
+import { Casual } from '../Casual.js';
+const START = "rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR w - - 0 1";
+const ENGINE = fileURLToPath(new URL("../server/ucci-engine.js", import.meta.url));
+describe("UCCI", { timeout: 20000 }, () => {
+    let engine;
+    before(() => {
+        engine = new UcciClient(process.execPath, [ENGINE]);
+        return engine.start();
+    });
+    after(() => engine.quit());
+    it("does the handshake", async () => {
+        assert.equal(engine.name, "Chinese Chess AI");
+        assert.equal(await engine.isReady(), true);
+    });
+    it("searches the game's position after its moves", async () => {
+        let game = Casual.fromFEN(START);
+        game.makeMove("03B03E");
+        game.makeMove("10H08G");
+        let result = await engine.go(undefined).catch((e) => e);
+        assert.ok(result instanceof Error, "no position set yet");
+        engine.setPosition(game);
+        result = await engine.go({ depth: 1 });
+        assert.match(result.move, /^\d\d[A-I]\d\d[A-I]$/);
+        assert.ok(game.validateMove(game.interpretMove(result.move)), `${result.move} is legal for red`);
+        assert.equal(result.info[0].depth, 1);
+        assert.equal(typeof result.score, "number");
+    });
+    it("takes a free rook & answers nobestmove when mated", async () => {
+        let game = Casual.fromFEN("4k4/9/9/9/4r4/9/9/9/9/3K1R3 w - - 0 1");
+        game.makeMove("01F06F");
+        engine.setPosition(game);
+        assert.equal((await engine.go({ depth: 1 })).move, "06E06F");
+        engine.setPosition(Casual.fromFEN("3k5/4R4/3R5/9/9/9/9/9/9/4K4 b - - 0 1"));
+        let result = await engine.go({ depth: 2 });
+        assert.equal(result.move, null);
+    });
+    it("reads info lines", () => {
+        assert.deepEqual(UcciClient.parseInfo("info depth 5 score -32 nodes 1000 pv h2e2 h9g7"),
+            { depth: 5, score: -32, nodes: 1000, pv: ["h2e2", "h9g7"] });
+        assert.deepEqual(UcciClient.parseInfo("info string hello there"), { string: "hello there" });
+        assert.throws(() => engine.toInternal("z9z9", Casual.fromFEN(START)));
+    });
+});
@@ -0,0 +1,62 @@
+/**
+ *
+ * picking moves on the 3D board. Only the parts that don't need a WebGL canvas
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { BoardView } from '../BoardView.js';
+import { Casual } from '../Casual.js';
+const START = "rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR w - - 0 1";
+// a view of the game without a renderer, passing picked moves to the moves array
+function view(game, moves) {
+    let view = Object.create(BoardView.prototype);
+    view._game = game;
+    view._layout = game.getLayout();
+    view._board = new THREE.Group();
+    view._pieces = {};
+    view._markers = [];
+    view._selected = null;
+    view._onMove = (move) => moves.push(move);
+    view.onSquare = null;
+    view._layout.forEach((row, r) => row.forEach((code, c) => {
+        if (code !== 0) {
+            view._pieces[`${r},${c}`] = new THREE.Object3D();
+        }
+    }));
+    return view;
+}
+describe("board view", () => {
+    it("marks the targets of the picked piece & plays a move to one of them", () => {
+        let game = Casual.fromFEN(START);
+        let moves = [];
+        let board = view(game, moves);
+        let cannon = game._interpretPos("03B");
+        board._pick([cannon.r, cannon.c]);
+        assert.deepEqual(board._selected, [cannon.r, cannon.c]);
+        assert.equal(board._markers.length, game.giveAllValidPos("03B").length);
+        let target = game._interpretPos("03E");
+        let marker = board._markers.find((item) => item.userData.square[0] === target.r && item.userData.square[1] === target.c);
+        assert.ok(marker, "03E is marked");
+        assert.ok(!Number.isNaN(marker.position.x) && !Number.isNaN(marker.position.z));
+        assert.deepEqual(marker.position.toArray(), board._toWorld(target.r, target.c, 0.02).toArray());
+        board._pick(marker.userData.square);
+        assert.deepEqual(moves, ["03B03E"]);
+        assert.equal(board._selected, null);
+        assert.equal(board._markers.length, 0);
+    });
+    it("ignores the other side's pieces & unmarked squares", () => {
+        let game = Casual.fromFEN(START);
+        let moves = [];
+        let board = view(game, moves);
+        let horse = game._interpretPos("10B");
+        board._pick([horse.r, horse.c]);
+        assert.equal(board._selected, null);
+        let cannon = game._interpretPos("03B");
+        board._pick([cannon.r, cannon.c]);
+        let empty = game._interpretPos("05E");
+        board._pick([empty.r, empty.c]);
+        assert.equal(board._selected, null);
+        assert.deepEqual(moves, []);
+    });
+});